@@ -22,7 +22,10 @@ const axios = require('axios');
 const cloudinary = require('cloudinary').v2;
 const { createClient } = require('redis');
 const { parsePhoneNumberFromString } = require('libphonenumber-js');
+const emoji = require('node-emoji');
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 
 // Configure Cloudinary
 cloudinary.config({
@@ -42,6 +45,11 @@ redis.on('connect', () => console.log('✅ Connected to Redis'));
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Needed behind a tunnel/load balancer so req.ip is the real client for the IP allowlist
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : process.env.TRUST_PROXY);
+}
+
 // Environment variables
 const SLACK_WEBHOOK_URL = process.env.SLACK_WEBHOOK_URL;
 const SLACK_BOT_TOKEN = process.env.SLACK_BOT_TOKEN;
@@ -52,13 +60,48 @@ const SLACK_BROADCAST_CHANNEL_ID = process.env.SLACK_BROADCAST_CHANNEL_ID;
 const VONAGE_APPLICATION_ID = process.env.VONAGE_APPLICATION_ID;
 const VONAGE_PRIVATE_KEY = process.env.VONAGE_PRIVATE_KEY;
 const VONAGE_WHATSAPP_NUMBER = process.env.VONAGE_WHATSAPP_NUMBER;
+// Verifies Vonage's signed message status webhooks
+const VONAGE_SIGNATURE_SECRET = process.env.VONAGE_SIGNATURE_SECRET;
+const SLACK_SIGNING_SECRET = process.env.SLACK_SIGNING_SECRET;
+// What happens when someone other than the owner replies in a claimed ticket: warn | block | off
+const CLAIM_ENFORCEMENT = (process.env.CLAIM_ENFORCEMENT || 'warn').toLowerCase();
+// Re-escalations from a customer with an open ticket continue in that ticket:
+// "customer" (any open ticket for the number) or "intent" (only an open ticket with the same intent)
+const REESCALATION_SCOPE = (process.env.REESCALATION_SCOPE || 'customer').toLowerCase();
+// Delete archived transcripts this many days after a ticket closes (0 = keep forever)
+const TRANSCRIPT_RETENTION_DAYS = Number(process.env.TRANSCRIPT_RETENTION_DAYS || 0);
+// Inbound media larger than this is linked instead of uploaded into Slack
+const INBOUND_MEDIA_MAX_MB = Number(process.env.INBOUND_MEDIA_MAX_MB || 100);
+// Thread replies starting with one of these are internal notes and aren't sent to the customer
+const INTERNAL_NOTE_PREFIXES = (process.env.INTERNAL_NOTE_PREFIXES || '//')
+  .split(',')
+  .map(prefix => prefix.trim().toLowerCase())
+  .filter(Boolean);
+// Sent to the customer when an agent edits a message they already received
+const CORRECTION_PREFIX = process.env.CORRECTION_PREFIX ?? 'Correction:';
+// Sent to the customer when an agent deletes a message they already received (empty = send nothing)
+const RETRACTION_MESSAGE = process.env.RETRACTION_MESSAGE ?? 'Please disregard my previous message.';
+// Where files sent from Slack to WhatsApp are stored: cloudinary | local | s3
+const MEDIA_STORAGE = (process.env.MEDIA_STORAGE || 'cloudinary').toLowerCase();
+// Delete stored media this many days after upload (0 = keep forever)
+const MEDIA_RETENTION_DAYS = Number(process.env.MEDIA_RETENTION_DAYS || 0);
+
+const AI_STUDIO_WEBHOOK_AUTH = (process.env.AI_STUDIO_WEBHOOK_AUTH || 'token').toLowerCase(); // token | hmac | none
+const AI_STUDIO_WEBHOOK_SECRET = process.env.AI_STUDIO_WEBHOOK_SECRET;
+const AI_STUDIO_ALLOWED_IPS = (process.env.AI_STUDIO_ALLOWED_IPS || '')
+  .split(',')
+  .map(ip => ip.trim())
+  .filter(Boolean);
+
+// Reject Slack requests whose timestamp is older than this (replay protection)
+const SLACK_SIGNATURE_MAX_AGE_SECONDS = 5 * 60;
+
+// Reject Vonage webhook tokens issued longer ago than this (replay protection)
+const VONAGE_SIGNATURE_MAX_AGE_SECONDS = 5 * 60;
 
 // AI Studio API base URL based on region
 const AI_STUDIO_BASE_URL = `https://studio-api-${AI_STUDIO_REGION}.ai.vonage.com`;
 
-// In-memory map of pending auto-response timers per session
-const pendingTimers = new Map();
-
 // ============================================
 // Translatable Strings
 // ============================================
@@ -72,6 +115,10 @@ const STRINGS = {
   closeConfirmNo: 'Cancel',
   replyInThread: '💬 Reply in this thread to respond',
   noMessages: '_No previous messages_',
+  transcriptHeader: '📜 *Transcript*',
+  transcriptHeaderPart: '📜 *Transcript ({part}/{total})*',
+  transcriptBot: '🤖 *Bot:*',
+  transcriptUser: '👤 *{name}:*',
 
   // Intent types
   intentTypes: {
@@ -91,17 +138,96 @@ const STRINGS = {
   customerVideo: '📱 *Customer sent a video:*',
   customerAudio: '📱 *Customer sent an audio message:*',
   customerText: '📱 *Customer:*',
+  customerFile: '📱 *Customer sent a document:*',
+  customerLocation: '📱 *Customer shared a location:*',
+  customerContact: '📱 *Customer shared a contact:*',
+  customerSticker: '📱 *Customer sent a sticker*',
+  customerMediaUpload: '📱 *{name}* sent {kind}',
+  mediaKinds: {
+    image: 'an image',
+    video: 'a video',
+    audio: 'an audio message',
+    file: 'a document',
+    document: 'a document',
+    sticker: 'a sticker',
+  },
+  customerUnsupported: '📱 *Customer sent a {type} message that can\'t be shown here.*',
+  downloadFile: 'Download',
+  openMap: 'Open in Google Maps',
 
   // Status messages
   ticketClosed: '✅ *Ticket closed*',
   messageSentToWhatsApp: '✅ _Message sent to WhatsApp_',
 
+  // Re-escalations
+  customerReescalated: '🔁 *Customer re-escalated* — the conversation continues in this thread',
+  customerReescalatedTopic: 'New topic: {labels}',
+
+  // Customer history
+  previousTickets: '🗂️ *Previous tickets ({count}):*',
+  historyButton: '🗂️ History',
+  historyModalTitle: 'Customer History',
+  historyEmpty: '_No previous tickets for this number._',
+  ticketStatusOpen: '🟢 open',
+  ticketStatusClosed: '✅ closed',
+
+  // Transcripts
+  exportTranscriptPlaceholder: '📄 Export transcript',
+  transcriptExportFormats: {
+    'json': 'JSON',
+    'csv': 'CSV',
+    'html': 'HTML',
+  },
+  transcriptExportComment: '📄 Transcript export ({format})',
+  transcriptNotFound: '⚠️ No transcript found for that ticket.',
+
+  // Outbound delivery
+  outboundFailed: '❌ *This message couldn\'t be delivered to WhatsApp* ({error}):\n{text}',
+  outboundFailedAssignees: '{mentions} please follow up with the customer.',
+  outboundRetryButton: '🔁 Retry',
+  outboundRetrying: '🔁 <@{user}> is retrying this message...',
+  outboundRetryExpired: '⚠️ This message can no longer be retried.',
+  outboundTicketClosed: 'the ticket is closed',
+
+  // Internal notes
+  internalNoteModalTitle: 'Internal note',
+  internalNoteLabel: 'Note (not sent to the customer)',
+  internalNoteSubmit: 'Add note',
+  internalNotePosted: '🔒 *Internal note from <@{user}>:*\n{note}',
+  internalNoteNoTicket: '⚠️ Internal notes can only be added to an open ticket thread.',
+
+  // Message edits & deletions
+  messageEditQueued: '✏️ Your message hadn\'t reached the customer yet, so they\'ll get the edited version instead.',
+  messageEditFailed: '✏️ Your message couldn\'t be sent. If you click *🔁 Retry* on the failure notice, the customer will get the edited version.',
+  messageDeleteQueued: '🗑️ Your message hadn\'t reached the customer yet, so it won\'t be sent.',
+  messageEditSent: '✏️ WhatsApp messages can\'t be edited. The customer received:\n{received}\nfollowed by this correction:\n{correction}',
+  messageDeleteSent: '🗑️ WhatsApp messages can\'t be unsent. The customer still has:\n{received}',
+  messageDeleteFollowUp: '\nfollowed by:\n{followup}',
+  messageEditFile: '✏️ Files already sent to WhatsApp can\'t be changed. The customer still has:\n{received}\nSend a new message if something needs correcting.',
+  correctionSent: '✏️ <@{user}> edited a message the customer already had, so they were sent:\n{text}',
+  retractionSent: '🗑️ <@{user}> deleted a message the customer already had, so they were sent:\n{text}',
+
   // Errors
-  unsupportedFileType: '⚠️ Cannot send {type} files to WhatsApp. Only images, videos, and audio are supported.',
+  unsupportedFileType: '⚠️ Cannot send {type} files to WhatsApp. Supported formats: {formats}.',
+  fileTooLarge: '⚠️ *{name}* is {size}. WhatsApp only accepts {kind} up to {limit}.',
   failedToSendFile: '❌ Failed to send file to WhatsApp: {error}',
+  failedToSendMessage: '❌ Failed to send message to WhatsApp: {error}',
   sessionNotFound: 'Session not found',
+  duplicateDelivery: 'Already processed',
 
   assignedTo: '👋 Assigned to',
+  ownerLabel: '🙋 *Owner:*',
+  claimButton: '🙋 Claim',
+  unclaimButton: '↩️ Unclaim',
+  reassignPlaceholder: 'Reassign to…',
+  ticketClaimed: '🙋 <@{user}> claimed this ticket',
+  ticketUnclaimed: '↩️ <@{user}> released this ticket',
+  ticketReassigned: '🔁 <@{user}> reassigned this ticket to <@{owner}>',
+  ticketAlreadyClaimed: '⚠️ This ticket is already claimed by <@{owner}>.',
+  ticketUnclaimNotOwner: '⚠️ Only <@{owner}> can release this ticket. Ask them to use *Reassign to…* to hand it over.',
+  ticketReassignNotOwner: '⚠️ Only <@{owner}> can reassign this ticket.',
+  claimWarning: '⚠️ This ticket is claimed by <@{owner}>. Your message was still sent to the customer.',
+  claimBlocked: '🚫 This ticket is claimed by <@{owner}>. Your message was *not* sent to the customer.',
   saveContactButton: '📇 Save Contact',
   saveContactModalTitle: 'Save Contact',
   saveContactNameLabel: 'Contact Name',
@@ -111,15 +237,58 @@ const STRINGS = {
   busyMessage3Min: 'Thank you for your patience. Our team is currently busy and will be with you shortly.',
   busyMessage10Min: 'We apologize for the delay. Our team is experiencing high volume but we haven\'t forgotten about you. Someone will be with you as soon as possible.',
   busyNotice: '⏱️ _Auto-message sent to customer:_ "{message}"',
+  busyNoticeAssignees: '{mentions} — no agent has replied yet',
+
+  // Business hours
+  afterHoursTag: '🌙 *After hours* — received outside business hours',
+  outOfOfficeMessage: 'Thank you for contacting us! Our office is currently closed. A member of our team will get back to you {opens}.',
+  outOfOfficeNotice: '🌙 _Out-of-office message sent to customer:_ "{message}"',
+  outOfOfficeOpensFallback: 'as soon as we are back',
+  afterHoursSummaryHeader: '🌅 *{count} ticket(s) arrived outside business hours:*',
+
+  // Agent availability
+  availabilityStatuses: {
+    'available': '🟢 Available',
+    'away': '🟡 Away',
+    'off': '⚪ Off shift',
+  },
+  availabilitySet: 'Your status is now {status}{until}',
+  homeAvailabilityHeader: 'Availability',
+  homeYourStatus: '*Your status:* {status}{until}',
+  homeOnShiftNow: '*On shift now:* {users}',
+  homeNobodyOnShift: '_Nobody is available right now._',
 
   // Broadcast
   broadcastSelectRoles: 'Select roles to broadcast this message to:',
   broadcastSendButton: 'Send Broadcast',
-  broadcastSending: '📡 _Sending broadcast..._',
-  broadcastSent: '📡 *Broadcast sent to {count} contacts*',
   broadcastNoContacts: '⚠️ No contacts found with the selected roles.',
-  broadcastSentTo: '✅ Sent to {phone} ({name})',
-  broadcastFailedTo: '❌ Failed to send to {phone} ({name}): {error}',
+  broadcastStates: {
+    'running': '📡 *Sending broadcast to {total} contacts...*',
+    'paused': '⏸️ *Broadcast to {total} contacts paused*',
+    'cancelled': '🛑 *Broadcast to {total} contacts cancelled*',
+    'done': '📡 *Broadcast sent to {total} contacts*',
+  },
+  broadcastProgress: '✅ Sent: {sent} · ❌ Failed: {failed} · ⏳ Remaining: {remaining}',
+  broadcastRoles: 'Roles: {roles}',
+  broadcastChangedBy: {
+    'pause': '_Paused by <@{user}>_',
+    'resume': '_Resumed by <@{user}>_',
+    'cancel': '_Cancelled by <@{user}>_',
+  },
+  broadcastPauseButton: '⏸️ Pause',
+  broadcastResumeButton: '▶️ Resume',
+  broadcastCancelButton: '🛑 Cancel',
+  broadcastCancelConfirmTitle: 'Cancel broadcast?',
+  broadcastCancelConfirmText: 'Contacts who haven\'t received it yet won\'t get it.',
+  broadcastCancelConfirm: 'Cancel broadcast',
+  broadcastCancelDeny: 'Keep sending',
+  broadcastReportButton: '📄 Download report',
+  broadcastReportComment: '📄 Broadcast report',
+  broadcastReportStatuses: {
+    'sent': 'sent',
+    'failed': 'failed',
+    'pending': 'not sent',
+  },
 
   // App Home
   homeTitle: 'Contacts & Roles',
@@ -135,11 +304,53 @@ const STRINGS = {
   homeNoContacts: '_No saved contacts yet._',
   homeRemoveRoleConfirmTitle: 'Remove Role',
   homeRemoveRoleConfirmText: 'This will remove the role from all contacts. Are you sure?',
+
+  // Saved replies
+  cannedButton: '💬 Send saved reply',
+  cannedModalTitle: 'Send saved reply',
+  cannedModalSubmit: 'Send',
+  cannedTicketLabel: 'Ticket',
+  cannedTicketPlaceholder: 'Choose a ticket...',
+  cannedTicketInfo: '*Ticket:* {ticket}',
+  cannedReplyLabel: 'Saved reply',
+  cannedReplyPlaceholder: 'Type to search...',
+  cannedNoReplies: '⚠️ There are no saved replies yet. Add them from the App Home tab.',
+  cannedNoTickets: '⚠️ There are no open tickets.',
+  cannedTicketClosed: 'This ticket is no longer open.',
+  cannedSent: '💬 <@{user}> sent the saved reply *{name}*:\n{text}',
+  homeCannedHeader: 'Saved Replies',
+  homeNoCanned: '_No saved replies yet._',
+  homeAddCannedButton: 'Add Saved Reply',
+  homeEditCannedButton: 'Edit',
+  homeDeleteCannedButton: 'Delete',
+  homeDeleteCannedConfirmTitle: 'Delete Saved Reply',
+  homeDeleteCannedConfirmText: 'Are you sure you want to delete this saved reply?',
+  cannedEditModalTitle: 'Saved Reply',
+  cannedNameLabel: 'Name',
+  cannedBodyLabel: 'Message',
+  cannedBodyHint: 'You can use {name}, {school}, {intent} and {agent}.',
+  cannedMediaLabel: 'Media URL',
+  cannedMediaHint: 'An image, video, audio file or document to send with the message.',
+  cannedNameTaken: 'A saved reply with this name already exists.',
+  cannedMediaUnreachable: 'Couldn\'t reach that URL.',
+  cannedMediaUnsupported: 'WhatsApp can\'t send {type} files. Supported formats: {formats}.',
+  cannedMediaTooLarge: 'That file is {size}. WhatsApp only accepts {kind} up to {limit}.',
 };
 
 // Middleware
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Keep the raw body around so request signatures can be verified
+const keepRawBody = (req, res, buf) => { req.rawBody = buf; };
+app.use(express.json({ verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
+
+// All Slack endpoints must carry a valid Slack signature
+app.use('/slack', verifySlackSignature);
+
+// AI Studio callbacks must carry the shared secret (and come from an allowed IP, if configured)
+app.use(['/start', '/inbound', '/contact/check'], verifyAIStudioRequest);
+
+// Vonage status callbacks must carry a valid Vonage signature
+app.use('/status', verifyVonageSignature);
 
 // Health check endpoint
 app.get('/health', async (req, res) => {
@@ -147,6 +358,28 @@ app.get('/health', async (req, res) => {
   res.json({ status: 'ok', sessions: keys.length });
 });
 
+/**
+ * /media/:key - Serve a file from local media storage
+ *
+ * Only valid with the `expires` and `signature` query params of a link made by
+ * getSignedMediaUrl, and only until it expires.
+ */
+app.get('/media/:key', (req, res) => {
+  const { key } = req.params;
+  const expires = Number(req.query.expires);
+  const signature = String(req.query.signature || '');
+
+  if (!MEDIA_SIGNING_SECRET || !/^[\w.-]+$/.test(key) || /^\.+$/.test(key) || !Number.isFinite(expires) || expires < Date.now() / 1000
+    || !safeEqual(signature, signMediaKey(key, expires))) {
+    console.warn(`⚠️ Rejected media request for ${key}`);
+    return res.status(403).send('Invalid or expired media link');
+  }
+
+  res.sendFile(key, { root: MEDIA_LOCAL_DIR }, (error) => {
+    if (error && !res.headersSent) res.status(404).send('Not found');
+  });
+});
+
 /**
  * /contact/check - Check if a phone number has a saved contact
  *
@@ -184,117 +417,145 @@ app.get('/contact/check', async (req, res) => {
  * It creates a new message in Slack with the conversation history.
  */
 app.post('/start', async (req, res) => {
+  // Set once the ticket's Slack thread is posted, so a failure after that is retried in it
+  let postedTicket = null;
+
   try {
     console.log('📥 Start endpoint received:', JSON.stringify(req.body, null, 2));
 
     const sessionId = req.body.sessionId;
 
+    // AI Studio redelivering a handoff must not open a second ticket. A retry of one
+    // that failed after its thread was posted finishes in that thread instead.
+    let resumed = null;
+    if (sessionId && !(await claimDelivery('studio_start', sessionId))) {
+      resumed = await takeDeliveryProgress('studio_start', sessionId);
+      if (!resumed) {
+        console.log(`♻️ Duplicate /start for session ${sessionId} ignored`);
+        return res.status(200).json({ status: 'success', message: STRINGS.duplicateDelivery });
+      }
+      console.log(`♻️ Retrying /start for session ${sessionId} in thread ${resumed.thread_ts}`);
+    }
+
     // Extract parameters from history
     const params = extractParameters(req.body.history?.parameters);
     const phoneNumber = params.SENDER_PHONE_NUMBER || '';
     const intent = params['USER.intent'] || '';
     const school = params['USER.school'] || '';
 
-    // Use saved contact name if available, otherwise WhatsApp profile name
-    let profileName = params.PROFILE_NAME || 'Unknown';
-    let isSavedContact = false;
-    if (phoneNumber) {
-      const savedContact = await redis.get(`contact:${phoneNumber}`);
-      if (savedContact) {
-        profileName = JSON.parse(savedContact).name;
-        isSavedContact = true;
-      }
-    }
-
-    // Format intent and school
-    const intentType = STRINGS.intentTypes[intent] || intent;
-    const schoolType = STRINGS.schoolTypes[school] || school;
+    const businessHours = await getBusinessHours();
+    let ticket = resumed?.ticket;
+    let threadTs = resumed?.thread_ts;
 
-    // Look up assigned users
-    const assigneeIds = await getAssignees(school, intent);
+    if (!resumed) {
+      // A customer escalating again while their ticket is still open continues in the same thread
+      const openSession = phoneNumber ? await findOpenTicket(phoneNumber, intent) : null;
+      if (openSession) {
+        await mergeReescalation(openSession, sessionId, req.body.history, { school, intent });
+        return res.status(200).json({ status: 'success', message: 'Conversation continued in open Slack ticket' });
+      }
 
-    let messageText = `${STRINGS.newRequest}\n\n`;
-    messageText += `👤 *${formatContact(profileName, phoneNumber)}*`;
-    if (isSavedContact) messageText += ` _(saved contact)_`;
-    messageText += `\n`;
-    if (intentType) messageText += `${intentType}`;
-    if (intentType && schoolType) messageText += ` • `;
-    if (schoolType) messageText += `${schoolType}`;
-    if (intentType || schoolType) messageText += `\n`;
-    if (assigneeIds.length > 0) {
-      const mentions = assigneeIds.map(id => `<@${id}>`).join(', ');
-      messageText += `\n${STRINGS.assignedTo} ${mentions}\n`;
-    }
-    messageText += `\n${STRINGS.replyInThread}`;
+      // Use saved contact name if available, otherwise WhatsApp profile name
+      let profileName = params.PROFILE_NAME || 'Unknown';
+      let isSavedContact = false;
+      if (phoneNumber) {
+        const savedContact = await redis.get(`contact:${phoneNumber}`);
+        if (savedContact) {
+          profileName = JSON.parse(savedContact).name;
+          isSavedContact = true;
+        }
+      }
 
-    // Build blocks with action buttons
-    const actionElements = [
-      {
-        type: 'button',
-        text: { type: 'plain_text', text: STRINGS.closeButton },
-        style: 'danger',
-        action_id: 'close_ticket',
-        confirm: {
-          title: { type: 'plain_text', text: STRINGS.closeConfirmTitle },
-          text: { type: 'mrkdwn', text: STRINGS.closeConfirmText },
-          confirm: { type: 'plain_text', text: STRINGS.closeConfirmYes },
-          deny: { type: 'plain_text', text: STRINGS.closeConfirmNo },
+      // Look up assigned users (a single owner under round-robin / least-open-tickets)
+      const { assigneeIds, ownerId } = await chooseAssignees(school, intent);
+
+      // Earlier tickets from the same number, shown in the header
+      const previousTickets = phoneNumber ? await getCustomerTickets(phoneNumber, PREVIOUS_TICKETS_IN_HEADER) : [];
+      // The full count, not just the tickets fetched for the header
+      const previousTicketCount = phoneNumber ? await redis.zCard(`customer_tickets:${phoneNumber}`) : 0;
+
+      ticket = {
+        session_id: sessionId,
+        profile_name: profileName,
+        phone: phoneNumber,
+        school,
+        intent,
+        is_saved_contact: isSavedContact,
+        assignee_ids: assigneeIds,
+        after_hours: !isWithinBusinessHours(businessHours),
+        owner_id: ownerId,
+        previous_ticket_count: previousTicketCount,
+        previous_tickets: previousTickets.map(summarizeTicket),
+      };
+      const { text: messageText, blocks } = buildTicketMessage(ticket);
+
+      // Use Slack API to get the message timestamp for threading
+      const response = await axios.post(
+        'https://slack.com/api/chat.postMessage',
+        {
+          channel: SLACK_CHANNEL_ID,
+          text: messageText,
+          blocks: blocks,
         },
-      },
-    ];
-
-    if (phoneNumber && !isSavedContact) {
-      actionElements.push({
-        type: 'button',
-        text: { type: 'plain_text', text: STRINGS.saveContactButton },
-        action_id: 'save_contact',
-        value: JSON.stringify({ phone: phoneNumber, name: profileName }),
-      });
-    }
-
-    const blocks = [
-      {
-        type: 'section',
-        text: { type: 'mrkdwn', text: messageText },
-      },
-      {
-        type: 'actions',
-        elements: actionElements,
-      },
-    ];
+        {
+          headers: {
+            'Authorization': `Bearer ${SLACK_BOT_TOKEN}`,
+            'Content-Type': 'application/json',
+          },
+        }
+      );
 
-    // Use Slack API to get the message timestamp for threading
-    const response = await axios.post(
-      'https://slack.com/api/chat.postMessage',
-      {
-        channel: SLACK_CHANNEL_ID,
-        text: messageText,
-        blocks: blocks,
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${SLACK_BOT_TOKEN}`,
-          'Content-Type': 'application/json',
-        },
+      if (!response.data.ok) {
+        throw new Error(`Slack API error: ${response.data.error}`);
       }
-    );
-
-    if (!response.data.ok) {
-      throw new Error(`Slack API error: ${response.data.error}`);
+      threadTs = response.data.ts;
     }
+    postedTicket = {
+      thread_ts: threadTs,
+      ticket,
+      recorded: !!resumed?.recorded,
+      transcript_posted: !!resumed?.transcript_posted,
+    };
 
     // Auto-create session with the thread timestamp
-    const threadTs = response.data.ts;
-    await saveSession(sessionId, threadTs, profileName);
+    const profileName = ticket.profile_name;
+    const session = await saveSession(sessionId, threadTs, profileName, ticket);
+    if (!postedTicket.recorded) {
+      await openTicketRecord(session, extractTranscript(req.body.history));
+      postedTicket.recorded = true;
+    }
+    if (phoneNumber) {
+      await redis.set(getOpenTicketKey(phoneNumber, intent), threadTs);
+    }
+
+    // Post the AI Studio conversation so far as the first thread reply
+    if (!postedTicket.transcript_posted) {
+      await postTranscript(threadTs, req.body.history, profileName);
+      postedTicket.transcript_posted = true;
+    }
 
-    // Schedule auto-response messages in case no agent replies
-    scheduleAutoResponses(sessionId);
+    if (ticket.after_hours) {
+      // Tell the customer when to expect a reply instead of running the busy-message ladder
+      await sendOutOfOfficeMessage(sessionId, threadTs, businessHours);
+      await queueAfterHoursTicket({ session_id: sessionId, thread_ts: threadTs, name: profileName, phone: phoneNumber, school, intent });
+    } else {
+      // Schedule auto-response messages in case no agent replies
+      await scheduleAutoResponses(sessionId, school, intent);
+    }
 
     console.log(`✅ Conversation initiated in Slack, session ${sessionId} linked to thread ${threadTs}`);
 
     res.status(200).json({ status: 'success', message: 'Conversation started in Slack' });
   } catch (error) {
     console.error('❌ Error in /start:', error.message);
+    // Let AI Studio's retry through, into the thread already posted if there is one
+    const sessionId = req.body.sessionId;
+    if (sessionId) {
+      const retry = postedTicket
+        ? saveDeliveryProgress('studio_start', sessionId, postedTicket)
+        : releaseDelivery('studio_start', sessionId);
+      await retry.catch(() => {});
+    }
     res.status(500).json({ error: error.message });
   }
 });
@@ -303,7 +564,8 @@ app.post('/start', async (req, res) => {
  * /inbound - Called by AI Studio when user sends a message during live agent session
  *
  * Forwards the WhatsApp user's message to the appropriate Slack thread.
- * Handles text, image, and video messages.
+ * Handles text, image, video, audio, file/document, location, contact (vCard)
+ * and sticker messages; anything else is posted with a visible fallback.
  */
 app.post('/inbound', async (req, res) => {
   try {
@@ -311,6 +573,13 @@ app.post('/inbound', async (req, res) => {
 
     const sessionId = req.body.sessionId;
     const messageType = req.body.type || 'text';
+
+    const messageId = getAIStudioMessageId(req.body);
+    if (messageId && !(await claimDelivery('studio_inbound', messageId))) {
+      console.log(`♻️ Duplicate inbound message ${messageId} ignored`);
+      return res.status(200).json({ status: 'success', message: STRINGS.duplicateDelivery });
+    }
+
     const session = await getSession(sessionId);
 
     if (!session) {
@@ -328,68 +597,72 @@ app.post('/inbound', async (req, res) => {
       icon_emoji: ':bust_in_silhouette:',
     };
 
-    let slackMessage;
-
-    switch (messageType) {
-      case 'image': {
-        const imageCaption = req.body.image.caption ? `\n"${req.body.image.caption}"` : '';
-        slackMessage = {
-          ...baseMessage,
-          text: `${STRINGS.customerImage}${imageCaption}`,
-          blocks: [
-            {
-              type: 'section',
-              text: { type: 'mrkdwn', text: `${STRINGS.customerImage}${imageCaption}` }
-            },
-            {
-              type: 'image',
-              image_url: req.body.image.url,
-              alt_text: req.body.image.caption || req.body.image.name
-            }
-          ]
-        };
-        break;
-      }
-
-      case 'video': {
-        const videoCaption = req.body.video.caption ? `\n"${req.body.video.caption}"` : '';
-        slackMessage = {
-          ...baseMessage,
-          text: `${STRINGS.customerVideo}${videoCaption}\n${req.body.video.url}`
-        };
-        break;
-      }
+    // Media is uploaded into the thread as a Slack file so it outlives the provider's
+    // expiring URL; if that fails it is posted as a link instead
+    const media = req.body[messageType];
+    const fileId = REHOSTED_MEDIA_TYPES.includes(messageType) && media?.url
+      ? await rehostInboundMedia(session, customerName, messageType, media)
+      : null;
 
-      case 'audio': {
-        slackMessage = {
-          ...baseMessage,
-          text: `${STRINGS.customerAudio}\n🎵 ${req.body.audio.url}`
-        };
-        break;
+    let slackMessage = null;
+    if (fileId) {
+      console.log(`✅ ${messageType} uploaded to Slack thread as ${fileId}`);
+    } else {
+      slackMessage = await buildInboundMessage(req.body, messageType, baseMessage);
+      const response = await axios.post(
+        'https://slack.com/api/chat.postMessage',
+        slackMessage,
+        {
+          headers: {
+            'Authorization': `Bearer ${SLACK_BOT_TOKEN}`,
+            'Content-Type': 'application/json',
+          },
+        }
+      );
+      if (!response.data.ok) {
+        throw new Error(`Slack API error: ${response.data.error}`);
       }
-
-      default: // text
-        slackMessage = {
-          ...baseMessage,
-          text: req.body.text
-        };
+      console.log(`✅ ${messageType} message forwarded to Slack thread`);
     }
 
-    await axios.post(
-      'https://slack.com/api/chat.postMessage',
-      slackMessage,
-      {
-        headers: {
-          'Authorization': `Bearer ${SLACK_BOT_TOKEN}`,
-          'Content-Type': 'application/json',
-        },
-      }
-    );
-    console.log(`✅ ${messageType} message forwarded to Slack thread`);
+    await appendTranscript(session.thread_ts, {
+      direction: 'inbound',
+      author: customerName,
+      type: messageType,
+      // Locations and contacts have no caption or URL, so keep what was shown in Slack
+      text: req.body.text || media?.caption || (media?.url ? '' : slackMessage.text),
+      url: media?.url,
+      ...(fileId && { slack_file_id: fileId }),
+    });
 
     res.status(200).json({ status: 'success' });
   } catch (error) {
     console.error('❌ Error in /inbound:', error.message);
+    // Let AI Studio's retry through
+    const messageId = getAIStudioMessageId(req.body);
+    if (messageId) await releaseDelivery('studio_inbound', messageId).catch(() => {});
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * /status - Vonage message status webhook
+ *
+ * Receives submitted / delivered / read / rejected / undeliverable callbacks and
+ * marks the Slack message that produced the WhatsApp message with a reaction.
+ */
+app.post('/status', async (req, res) => {
+  try {
+    const { message_uuid: messageId, status } = req.body;
+    console.log(`📬 Status ${status} for message ${messageId}`);
+
+    if (messageId && DELIVERY_STATUS_RANK[status]) {
+      await updateDeliveryStatus(messageId, status);
+    }
+
+    res.status(200).send('');
+  } catch (error) {
+    console.error('❌ Error in /status:', error.message);
     res.status(500).json({ error: error.message });
   }
 });
@@ -400,8 +673,12 @@ app.post('/inbound', async (req, res) => {
  * Usage:
  *   /assign academy registration @user - Assign user to academy registrations
  *   /assign daycare payment @user - Assign user to daycare payments
- *   /assign list - Show all assignments
+ *   /assign academy * @user - Assign user to every academy ticket
+ *   /assign default @user - Assign user to tickets no other bucket matches
+ *   /assign list - Show all assignments and the resolution order
+ *   /assign list academy payment - Show how a ticket type is resolved
  *   /assign clear academy registration - Remove an assignment
+ *   /assign strategy academy registration round-robin - Pick one agent per ticket
  */
 app.post('/slack/assign', async (req, res) => {
   try {
@@ -416,21 +693,44 @@ app.post('/slack/assign', async (req, res) => {
         text: `📖 */assign* - Manage ticket assignments\n\n` +
           `*Commands:*\n` +
           `• \`/assign <school> <intent> @user @user2\` - Assign users\n` +
+          `• \`/assign default @user\` - Assign users to tickets nothing else matches\n` +
           `• \`/assign list\` - Show all assignments\n` +
+          `• \`/assign list <school> <intent>\` - Show who a ticket type goes to\n` +
           `• \`/assign clear <school> <intent>\` - Remove all\n` +
           `• \`/assign clear <school> <intent> @user\` - Remove specific user\n` +
+          `• \`/assign strategy <school> <intent> <strategy>\` - Set how agents are picked\n` +
           `• \`/assign help\` - Show this help\n\n` +
-          `*Schools:* \`academy\`, \`daycare\`\n` +
-          `*Intents:* \`registration\`, \`payment\`, \`inquiry\`\n\n` +
+          `*Schools:* \`academy\`, \`daycare\` or \`*\` for any\n` +
+          `*Intents:* \`registration\`, \`payment\`, \`inquiry\` or \`*\` for any\n` +
+          `*Strategies:* \`all\` (mention everyone), \`round-robin\`, \`least-open-tickets\` (one owner per ticket)\n` +
+          `*Resolution order:* ${ASSIGNMENT_RESOLUTION_ORDER}\n\n` +
           `*Examples:*\n` +
           `• \`/assign academy registration @john @jane\`\n` +
-          `• \`/assign daycare payment @jane\`\n` +
-          `• \`/assign clear academy registration @john\``,
+          `• \`/assign daycare * @jane\`\n` +
+          `• \`/assign * payment @sam\`\n` +
+          `• \`/assign default @lead\`\n` +
+          `• \`/assign clear academy registration @john\`\n` +
+          `• \`/assign strategy daycare payment least-open-tickets\``,
       });
     }
 
-    // List all assignments
+    // List all assignments, or how one ticket type is resolved
     if (command === 'list') {
+      if (parts[1]) {
+        const school = parts[1].toLowerCase();
+        const intent = parts[2]?.toLowerCase() || '';
+        const { bucket: winner } = await resolveAssignees(school, intent);
+
+        let response = `🔎 *Resolution for ${formatBucketLabel(`${school}:${intent || '*'}`)}:*\n\n`;
+        for (const bucket of getAssignmentBuckets(school, intent)) {
+          const userIds = await redis.sMembers(`assign:${bucket}`);
+          const mentions = userIds.length > 0 ? userIds.map(formatMention).join(', ') : '_nobody_';
+          response += `${bucket === winner ? '👉' : '•'} \`${bucket}\` → ${mentions}\n`;
+        }
+        if (!winner) response += '\n_No bucket has an available agent — the `/oncall fallback` is used._';
+        return res.json({ response_type: 'ephemeral', text: response });
+      }
+
       const assignments = await getAllAssignments();
       if (Object.keys(assignments).length === 0) {
         return res.json({
@@ -439,23 +739,26 @@ app.post('/slack/assign', async (req, res) => {
         });
       }
 
+      // Most specific buckets first
+      const buckets = Object.keys(assignments).sort((a, b) =>
+        getBucketSpecificity(b) - getBucketSpecificity(a) || a.localeCompare(b));
+
+      const loads = await getAgentLoads([...new Set(Object.values(assignments).flat())]);
       let response = '📋 *Current Assignments:*\n\n';
-      for (const [key, userIds] of Object.entries(assignments)) {
-        const [school, intent] = key.split(':');
-        const schoolLabel = STRINGS.schoolTypes[school] || school;
-        const intentLabel = STRINGS.intentTypes[intent] || intent;
-        const mentions = userIds.map(id => `<@${id}>`).join(', ');
-        response += `• ${schoolLabel} + ${intentLabel} → ${mentions}\n`;
+      for (const key of buckets) {
+        const strategy = await getAssignmentStrategy(key);
+        const mentions = assignments[key].map(id => `${formatMention(id)} (${loads[id] || 0} open)`).join(', ');
+        response += `• ${formatBucketLabel(key)} _[${strategy}]_ → ${mentions}\n`;
       }
+      response += `\n*Resolution order:* ${ASSIGNMENT_RESOLUTION_ORDER}`;
       return res.json({ response_type: 'ephemeral', text: response });
     }
 
     // Clear an assignment
     if (command === 'clear') {
-      const school = parts[1]?.toLowerCase();
-      const userType = parts[2]?.toLowerCase();
+      const bucket = parseAssignmentBucket(parts.slice(1));
 
-      if (!school || !userType) {
+      if (!bucket) {
         return res.json({
           response_type: 'ephemeral',
           text: '❌ Usage:\n`/assign clear <school> <intent>` - Remove all\n`/assign clear <school> <intent> @user` - Remove specific user\n\nType `/assign help` for more info.',
@@ -468,28 +771,48 @@ app.post('/slack/assign', async (req, res) => {
       if (userIds.length > 0) {
         // Remove specific users
         for (const uid of userIds) {
-          await redis.sRem(`assign:${school}:${userType}`, uid);
+          await redis.sRem(`assign:${bucket}`, uid);
         }
-        const mentions = userIds.map(id => `<@${id}>`).join(', ');
+        const mentions = userIds.map(formatMention).join(', ');
         return res.json({
           response_type: 'in_channel',
-          text: `✅ Removed ${mentions} from ${school} + ${userType}`,
+          text: `✅ Removed ${mentions} from ${formatBucketLabel(bucket)}`,
         });
       }
 
       // Remove all
-      await redis.del(`assign:${school}:${userType}`);
+      await redis.del([`assign:${bucket}`, `strategy:${bucket}`, `rotation:${bucket}`]);
+      return res.json({
+        response_type: 'in_channel',
+        text: `✅ Cleared all assignments for ${formatBucketLabel(bucket)}`,
+      });
+    }
+
+    // Set the selection strategy for a bucket
+    if (command === 'strategy') {
+      const bucket = parseAssignmentBucket(parts.slice(1));
+      // `default` is one word; `<school> <intent>` (including `* *`) is two
+      const bucketWords = parts[1]?.toLowerCase() === 'default' ? 1 : 2;
+      const strategy = parts[1 + bucketWords]?.toLowerCase();
+
+      if (!bucket || !ASSIGNMENT_STRATEGIES.includes(strategy)) {
+        return res.json({
+          response_type: 'ephemeral',
+          text: `❌ Usage: \`/assign strategy <school> <intent> <strategy>\`\nStrategies: ${ASSIGNMENT_STRATEGIES.map(st => `\`${st}\``).join(', ')}`,
+        });
+      }
+
+      await redis.set(`strategy:${bucket}`, strategy);
       return res.json({
         response_type: 'in_channel',
-        text: `✅ Cleared all assignments for ${school} + ${userType}`,
+        text: `✅ ${formatBucketLabel(bucket)} tickets now use the \`${strategy}\` strategy`,
       });
     }
 
     // Create an assignment: /assign <school> <intent> @user @user2 ...
-    const school = parts[0]?.toLowerCase();
-    const userType = parts[1]?.toLowerCase();
+    const bucket = parseAssignmentBucket(parts);
 
-    if (!school || !userType) {
+    if (!bucket) {
       return res.json({
         response_type: 'ephemeral',
         text: '❌ Usage: `/assign <school> <intent> @user`\nExample: `/assign academy registration @john`\n\nType `/assign help` for more info.',
@@ -508,16 +831,14 @@ app.post('/slack/assign', async (req, res) => {
 
     // Add all users to the assignment set
     for (const uid of userIds) {
-      await redis.sAdd(`assign:${school}:${userType}`, uid);
+      await redis.sAdd(`assign:${bucket}`, uid);
     }
 
-    const schoolLabel = STRINGS.schoolTypes[school] || school;
-    const intentLabel = STRINGS.intentTypes[userType] || userType;
-    const mentions = userIds.map(id => `<@${id}>`).join(', ');
+    const mentions = userIds.map(formatMention).join(', ');
 
     return res.json({
       response_type: 'in_channel',
-      text: `✅ Assigned ${mentions} to handle ${schoolLabel} + ${intentLabel} tickets`,
+      text: `✅ Assigned ${mentions} to handle ${formatBucketLabel(bucket)} tickets`,
     });
 
   } catch (error) {
@@ -530,61 +851,574 @@ app.post('/slack/assign', async (req, res) => {
 });
 
 /**
- * /slack/events - Slack Events API handler
+ * /slack/ladder - Slash command to configure the auto-response ladder
  *
- * Handles:
- * - Thread messages → automatically forwarded to WhatsApp
+ * Usage:
+ *   /ladder list - Show all configured ladders
+ *   /ladder show <school> <intent> - Show the effective ladder for a ticket type
+ *   /ladder set <school> <intent> <minutes> <message> - Add or replace a step
+ *   /ladder remove <school> <intent> <minutes> - Remove a step
+ *   /ladder ping <school> <intent> on|off - Mention assignees at each step
+ *   /ladder clear <school> <intent> - Remove the ladder (falls back to default)
+ *
+ * Use `default` instead of `<school> <intent>` to change the fallback ladder.
  */
-app.post('/slack/events', async (req, res) => {
+app.post('/slack/ladder', async (req, res) => {
   try {
-    // Handle Slack URL verification challenge
-    if (req.body.type === 'url_verification') {
-      console.log('🔐 Slack URL verification');
-      return res.json({ challenge: req.body.challenge });
+    const text = req.body.text?.trim() || '';
+    const parts = text.split(/\s+/);
+    const command = parts[0]?.toLowerCase();
+
+    // Show help
+    if (command === 'help' || !command) {
+      return res.json({
+        response_type: 'ephemeral',
+        text: `📖 */ladder* - Manage auto-response messages sent while no agent has replied\n\n` +
+          `*Commands:*\n` +
+          `• \`/ladder list\` - Show all ladders\n` +
+          `• \`/ladder show <school> <intent>\` - Show the ladder used for a ticket type\n` +
+          `• \`/ladder set <school> <intent> <minutes> <message>\` - Add or replace a step\n` +
+          `• \`/ladder remove <school> <intent> <minutes>\` - Remove a step\n` +
+          `• \`/ladder ping <school> <intent> on|off\` - Mention assignees at each step\n` +
+          `• \`/ladder clear <school> <intent>\` - Remove a ladder\n` +
+          `• \`/ladder help\` - Show this help\n\n` +
+          `Use \`default\` in place of \`<school> <intent>\` for the fallback ladder.\n\n` +
+          `*Examples:*\n` +
+          `• \`/ladder set daycare payment 1 Thanks! A payments agent will be with you in a moment.\`\n` +
+          `• \`/ladder ping daycare payment on\`\n` +
+          `• \`/ladder set default 5 We're a little busy, please bear with us.\``,
+      });
     }
 
-    // Acknowledge immediately to prevent Slack timeout
-    res.status(200).send('');
+    // List all ladders
+    if (command === 'list') {
+      const ladders = await getAllLadders();
+      if (Object.keys(ladders).length === 0) {
+        return res.json({
+          response_type: 'ephemeral',
+          text: '📋 *No custom ladders configured*\n\nThe built-in ladder is used for every ticket.\n\n' + formatLadder(DEFAULT_LADDER),
+        });
+      }
 
-    const event = req.body.event;
-    if (!event) return;
+      let response = '📋 *Auto-Response Ladders:*\n\n';
+      for (const [bucket, ladder] of Object.entries(ladders)) {
+        response += `*${formatBucketLabel(bucket)}*\n${formatLadder(ladder)}\n\n`;
+      }
+      return res.json({ response_type: 'ephemeral', text: response });
+    }
 
-    console.log(`📨 [Event] type=${event.type} channel=${event.channel} subtype=${event.subtype || 'none'} bot_id=${event.bot_id || 'none'} thread_ts=${event.thread_ts || 'none'}`);
+    if (!['show', 'set', 'remove', 'ping', 'clear'].includes(command)) {
+      return res.json({
+        response_type: 'ephemeral',
+        text: `❌ Unknown command \`${command}\`\n\nType \`/ladder help\` for more info.`,
+      });
+    }
 
-    // Handle App Home tab opened
-    if (event.type === 'app_home_opened' && event.tab === 'home') {
-      await publishHomeTab(event.user);
-      return;
+    // Resolve the bucket: `default` or `<school> <intent>`
+    let bucket;
+    let rest;
+    if (parts[1]?.toLowerCase() === 'default') {
+      bucket = 'default';
+      rest = parts.slice(2);
+    } else {
+      const school = parts[1]?.toLowerCase();
+      const intent = parts[2]?.toLowerCase();
+      if (!school || !intent) {
+        return res.json({
+          response_type: 'ephemeral',
+          text: `❌ Usage: \`/ladder ${command} <school> <intent> ...\`\n\nType \`/ladder help\` for more info.`,
+        });
+      }
+      bucket = `${school}:${intent}`;
+      rest = parts.slice(3);
     }
+    const bucketLabel = formatBucketLabel(bucket);
 
-    // Handle message events
-    if (event.type === 'message') {
-      // Broadcast channel: non-threaded messages from humans trigger broadcast flow
-      console.log(`📨 [Broadcast Check] SLACK_BROADCAST_CHANNEL_ID="${SLACK_BROADCAST_CHANNEL_ID}" event.channel="${event.channel}" match=${event.channel === SLACK_BROADCAST_CHANNEL_ID}`);
-      if (
-        SLACK_BROADCAST_CHANNEL_ID &&
-        event.channel === SLACK_BROADCAST_CHANNEL_ID &&
-        !event.bot_id &&
-        event.subtype !== 'bot_message' &&
-        !event.thread_ts
-      ) {
-        await handleBroadcastMessage(event);
-        return;
+    if (command === 'show') {
+      const ladder = bucket === 'default'
+        ? await getLadderByBucket('default') || DEFAULT_LADDER
+        : await getLadder(...bucket.split(':'));
+      return res.json({
+        response_type: 'ephemeral',
+        text: `📋 *Ladder for ${bucketLabel}*\n${formatLadder(ladder)}`,
+      });
+    }
+
+    if (command === 'clear') {
+      await redis.del(`ladder:${bucket}`);
+      return res.json({
+        response_type: 'in_channel',
+        text: `✅ Cleared the auto-response ladder for ${bucketLabel}`,
+      });
+    }
+
+    const ladder = await getLadderByBucket(bucket) || { steps: [], ping_assignees: false };
+
+    if (command === 'ping') {
+      const toggle = rest[0]?.toLowerCase();
+      if (!['on', 'off'].includes(toggle)) {
+        return res.json({
+          response_type: 'ephemeral',
+          text: '❌ Usage: `/ladder ping <school> <intent> on|off`',
+        });
       }
+      ladder.ping_assignees = toggle === 'on';
+      await redis.set(`ladder:${bucket}`, JSON.stringify(ladder));
+      return res.json({
+        response_type: 'in_channel',
+        text: `✅ Assignees will ${ladder.ping_assignees ? 'now' : 'no longer'} be mentioned at each auto-response for ${bucketLabel}`,
+      });
+    }
 
-      await handleMessage(event);
-      return;
+    const minutes = parseFloat(rest[0]);
+    if (!Number.isFinite(minutes) || minutes <= 0) {
+      return res.json({
+        response_type: 'ephemeral',
+        text: `❌ Please give the delay in minutes, e.g. \`/ladder ${command} ${bucket.replace(':', ' ')} 5${command === 'set' ? ' <message>' : ''}\``,
+      });
+    }
+
+    if (command === 'remove') {
+      ladder.steps = ladder.steps.filter(step => step.delay_minutes !== minutes);
+      await redis.set(`ladder:${bucket}`, JSON.stringify(ladder));
+      return res.json({
+        response_type: 'in_channel',
+        text: `✅ Removed the ${minutes} min step from ${bucketLabel}`,
+      });
+    }
+
+    // set: take the message from the original text so it keeps its line breaks
+    const wordsBefore = parts.length - rest.length + 1;
+    const message = decodeSlackEntities(text.replace(new RegExp(`^(?:\\S+\\s*){${wordsBefore}}`), '').trim());
+    if (!message) {
+      return res.json({
+        response_type: 'ephemeral',
+        text: '❌ Please include the message to send, e.g. `/ladder set daycare payment 2 Thanks for waiting!`',
+      });
     }
+    ladder.steps = ladder.steps.filter(step => step.delay_minutes !== minutes);
+    ladder.steps.push({ delay_minutes: minutes, message });
+    ladder.steps.sort((a, b) => a.delay_minutes - b.delay_minutes);
+    await redis.set(`ladder:${bucket}`, JSON.stringify(ladder));
+
+    return res.json({
+      response_type: 'in_channel',
+      text: `✅ ${bucketLabel} will get this after ${minutes} min without a reply:\n> ${message}`,
+    });
 
   } catch (error) {
-    console.error('❌ Error in /slack/events:', error.message);
+    console.error('❌ Error in /slack/ladder:', error.message);
+    return res.json({
+      response_type: 'ephemeral',
+      text: `❌ Error: ${error.message}`,
+    });
   }
 });
 
 /**
- * /slack/interactions - Slack Interactive Components handler
+ * /slack/hours - Slash command to configure business hours
  *
- * Handles button clicks (e.g. Close Ticket button)
+ * Usage:
+ *   /hours - Show the current configuration and whether we are open
+ *   /hours on|off - Enable or disable business-hours mode
+ *   /hours timezone Asia/Jerusalem - Set the timezone
+ *   /hours set sun-thu 08:00-16:00 - Set opening hours for days
+ *   /hours set fri off - Mark days as closed
+ *   /hours holiday add|remove 2026-12-25 - Manage holiday dates
+ *   /hours message <text> - Set the out-of-office message ({opens} = next opening)
+ */
+app.post('/slack/hours', async (req, res) => {
+  try {
+    const text = req.body.text?.trim() || '';
+    const parts = text.split(/\s+/);
+    const command = parts[0]?.toLowerCase() || 'show';
+
+    if (command === 'help') {
+      return res.json({
+        response_type: 'ephemeral',
+        text: `📖 */hours* - Manage business hours\n\n` +
+          `*Commands:*\n` +
+          `• \`/hours\` - Show business hours\n` +
+          `• \`/hours on\` / \`/hours off\` - Enable or disable business-hours mode\n` +
+          `• \`/hours timezone <IANA zone>\` - Set the timezone\n` +
+          `• \`/hours set <days> <HH:MM-HH:MM>\` - Set opening hours\n` +
+          `• \`/hours set <days> off\` - Mark days as closed\n` +
+          `• \`/hours holiday add <YYYY-MM-DD>\` - Add a holiday\n` +
+          `• \`/hours holiday remove <YYYY-MM-DD>\` - Remove a holiday\n` +
+          `• \`/hours message <text>\` - Set the out-of-office message\n\n` +
+          `*Days:* \`sun\` … \`sat\`, ranges like \`sun-thu\`, lists like \`mon,wed\` or \`all\`\n` +
+          `Use \`{opens}\` in the message for the expected response time.\n\n` +
+          `*Examples:*\n` +
+          `• \`/hours timezone Asia/Jerusalem\`\n` +
+          `• \`/hours set sun-thu 08:00-16:00\`\n` +
+          `• \`/hours set fri,sat off\`\n` +
+          `• \`/hours holiday add 2026-12-25\``,
+      });
+    }
+
+    const config = await getBusinessHours();
+
+    if (command === 'show') {
+      return res.json({ response_type: 'ephemeral', text: formatBusinessHours(config) });
+    }
+
+    if (command === 'on' || command === 'off') {
+      config.enabled = command === 'on';
+      await saveBusinessHours(config);
+      return res.json({
+        response_type: 'in_channel',
+        text: `✅ Business-hours mode ${config.enabled ? 'enabled' : 'disabled'}`,
+      });
+    }
+
+    if (command === 'timezone') {
+      const timezone = parts[1];
+      if (!timezone || !isValidTimezone(timezone)) {
+        return res.json({
+          response_type: 'ephemeral',
+          text: '❌ Please give a valid IANA timezone, e.g. `/hours timezone Asia/Jerusalem`',
+        });
+      }
+      config.timezone = timezone;
+      await saveBusinessHours(config);
+      return res.json({ response_type: 'in_channel', text: `✅ Business hours timezone set to \`${timezone}\`` });
+    }
+
+    if (command === 'set') {
+      const days = parseDaySpec(parts[1]);
+      const hours = parts[2]?.toLowerCase();
+      const range = hours === 'off' ? null : parseTimeRange(hours);
+      if (days.length === 0 || (hours !== 'off' && !range)) {
+        return res.json({
+          response_type: 'ephemeral',
+          text: '❌ Usage: `/hours set <days> <HH:MM-HH:MM>` or `/hours set <days> off`\nExample: `/hours set sun-thu 08:00-16:00`',
+        });
+      }
+      for (const day of days) {
+        config.schedule[day] = range;
+      }
+      await saveBusinessHours(config);
+      return res.json({ response_type: 'in_channel', text: `✅ Updated business hours\n\n${formatBusinessHours(config)}` });
+    }
+
+    if (command === 'holiday') {
+      const subcommand = parts[1]?.toLowerCase();
+      const date = parts[2];
+      if (!['add', 'remove'].includes(subcommand) || !/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+        return res.json({
+          response_type: 'ephemeral',
+          text: '❌ Usage: `/hours holiday add <YYYY-MM-DD>` or `/hours holiday remove <YYYY-MM-DD>`',
+        });
+      }
+      config.holidays = config.holidays.filter(d => d !== date);
+      if (subcommand === 'add') {
+        config.holidays.push(date);
+        config.holidays.sort();
+      }
+      await saveBusinessHours(config);
+      return res.json({
+        response_type: 'in_channel',
+        text: `✅ ${subcommand === 'add' ? 'Added' : 'Removed'} holiday ${date}`,
+      });
+    }
+
+    if (command === 'message') {
+      const message = decodeSlackEntities(text.slice(parts[0].length).trim());
+      if (!message) {
+        return res.json({
+          response_type: 'ephemeral',
+          text: '❌ Usage: `/hours message <text>` — use `{opens}` for the expected response time',
+        });
+      }
+      config.message = message;
+      await saveBusinessHours(config);
+      return res.json({ response_type: 'in_channel', text: `✅ Out-of-office message set to:\n> ${message}` });
+    }
+
+    return res.json({
+      response_type: 'ephemeral',
+      text: `❌ Unknown command \`${command}\`\n\nType \`/hours help\` for more info.`,
+    });
+
+  } catch (error) {
+    console.error('❌ Error in /slack/hours:', error.message);
+    return res.json({
+      response_type: 'ephemeral',
+      text: `❌ Error: ${error.message}`,
+    });
+  }
+});
+
+/**
+ * /slack/oncall - Slash command for agents to set their availability
+ *
+ * Usage:
+ *   /oncall - Show your status and who is on shift
+ *   /oncall available|away|off [30m|2h|1d] - Set your status, optionally for a while
+ *   /oncall list - Show everyone's status
+ *   /oncall fallback @user @user2 | channel | here | none - Who to notify when nobody is available
+ */
+app.post('/slack/oncall', async (req, res) => {
+  try {
+    const text = req.body.text?.trim() || '';
+    const parts = text.split(/\s+/);
+    const command = parts[0]?.toLowerCase() || 'status';
+    const userId = req.body.user_id;
+
+    if (command === 'help') {
+      return res.json({
+        response_type: 'ephemeral',
+        text: `📖 */oncall* - Manage your availability for new tickets\n\n` +
+          `*Commands:*\n` +
+          `• \`/oncall\` - Show your status\n` +
+          `• \`/oncall available\` - Receive new tickets\n` +
+          `• \`/oncall away [duration]\` - Skip me for new tickets for a while\n` +
+          `• \`/oncall off [duration]\` - I'm off shift\n` +
+          `• \`/oncall list\` - Show everyone's status\n` +
+          `• \`/oncall fallback @user @user2\` - Notify these users when nobody in a bucket is available\n` +
+          `• \`/oncall fallback channel\` / \`here\` - Notify the whole channel instead\n` +
+          `• \`/oncall fallback none\` - Remove the fallback\n\n` +
+          `*Durations:* \`30m\`, \`2h\`, \`1d\` — after that you are available again.`,
+      });
+    }
+
+    if (command === 'status') {
+      const { label, untilText } = formatAvailability(await getAvailability(userId));
+      return res.json({
+        response_type: 'ephemeral',
+        text: STRINGS.homeYourStatus.replace('{status}', label).replace('{until}', untilText),
+      });
+    }
+
+    if (AVAILABILITY_STATUSES.includes(command)) {
+      let durationMs = null;
+      if (parts[1]) {
+        durationMs = parseDuration(parts[1]);
+        if (!durationMs) {
+          return res.json({
+            response_type: 'ephemeral',
+            text: '❌ Durations look like `30m`, `2h` or `1d`, e.g. `/oncall away 1h`',
+          });
+        }
+      }
+      const record = await setAvailability(userId, command, durationMs);
+      const { label, untilText } = formatAvailability(record);
+      return res.json({
+        response_type: 'ephemeral',
+        text: `✅ ${STRINGS.availabilitySet.replace('{status}', label).replace('{until}', untilText)}`,
+      });
+    }
+
+    if (command === 'list') {
+      const agents = await getKnownAgents();
+      if (agents.length === 0) {
+        return res.json({ response_type: 'ephemeral', text: '📋 *No agents configured yet*' });
+      }
+
+      let response = '📋 *Agent availability:*\n\n';
+      for (const agentId of agents) {
+        const { label, untilText } = formatAvailability(await getAvailability(agentId));
+        response += `• <@${agentId}> — ${label}${untilText}\n`;
+      }
+      const fallback = await getFallbackAssignees();
+      response += `\n*Fallback:* ${fallback.length > 0 ? fallback.map(formatMention).join(', ') : '_none_'}`;
+      return res.json({ response_type: 'ephemeral', text: response });
+    }
+
+    if (command === 'fallback') {
+      const target = parts[1]?.toLowerCase();
+      let fallback;
+      if (target === 'none') {
+        fallback = [];
+      } else if (target === 'channel' || target === 'here') {
+        fallback = [`!${target}`];
+      } else {
+        fallback = await resolveUsers(text);
+      }
+
+      if (target !== 'none' && fallback.length === 0) {
+        return res.json({
+          response_type: 'ephemeral',
+          text: '❌ Usage: `/oncall fallback @user @user2`, `/oncall fallback channel`, `/oncall fallback here` or `/oncall fallback none`',
+        });
+      }
+
+      await redis.del('assign_fallback');
+      if (fallback.length > 0) await redis.sAdd('assign_fallback', fallback);
+      return res.json({
+        response_type: 'in_channel',
+        text: fallback.length > 0
+          ? `✅ When nobody in a bucket is available, ${fallback.map(formatMention).join(', ')} will be notified`
+          : '✅ Removed the availability fallback',
+      });
+    }
+
+    return res.json({
+      response_type: 'ephemeral',
+      text: `❌ Unknown command \`${command}\`\n\nType \`/oncall help\` for more info.`,
+    });
+
+  } catch (error) {
+    console.error('❌ Error in /slack/oncall:', error.message);
+    return res.json({
+      response_type: 'ephemeral',
+      text: `❌ Error: ${error.message}`,
+    });
+  }
+});
+
+/**
+ * /slack/transcript - Slash command to export a ticket transcript
+ *
+ * Usage:
+ *   /transcript <ticket link> [json|csv|html] - Upload the transcript into the ticket thread
+ */
+app.post('/slack/transcript', async (req, res) => {
+  try {
+    const text = req.body.text?.trim() || '';
+    const parts = text.split(/\s+/);
+    const threadTs = parseThreadTs(parts[0]);
+    const format = (parts[1] || 'html').toLowerCase();
+
+    if (!threadTs || !STRINGS.transcriptExportFormats[format]) {
+      return res.json({
+        response_type: 'ephemeral',
+        text: `📖 */transcript* - Export a ticket transcript\n\n` +
+          `• \`/transcript <ticket link> [json|csv|html]\`\n\n` +
+          `Copy the ticket link with *Copy link* on the ticket message. The file is posted in the ticket thread.`,
+      });
+    }
+
+    // Respond right away; uploads can take longer than Slack's 3 second limit
+    res.json({ response_type: 'ephemeral', text: `📄 Exporting transcript as ${STRINGS.transcriptExportFormats[format]}...` });
+
+    const exported = await exportTranscript(threadTs, format);
+    if (!exported) {
+      await postEphemeral(req.body.channel_id, req.body.user_id, null, STRINGS.transcriptNotFound);
+    }
+  } catch (error) {
+    console.error('❌ Error in /slack/transcript:', error.message);
+    if (!res.headersSent) {
+      res.json({
+        response_type: 'ephemeral',
+        text: `❌ Error: ${error.message}`,
+      });
+    }
+  }
+});
+
+/**
+ * /slack/canned - Slash command to send a saved reply
+ *
+ * Usage:
+ *   /canned - Pick an open ticket and a saved reply
+ *   /canned <ticket link> - Pick a saved reply for that ticket
+ */
+app.post('/slack/canned', async (req, res) => {
+  try {
+    const text = req.body.text?.trim() || '';
+
+    if (text.toLowerCase() === 'help') {
+      return res.json({
+        response_type: 'ephemeral',
+        text: `📖 */canned* - Send a saved reply\n\n` +
+          `• \`/canned\` - Pick an open ticket and a saved reply\n` +
+          `• \`/canned <ticket link>\` - Pick a saved reply for that ticket\n\n` +
+          `Saved replies are managed from the App Home tab. You can also use *${STRINGS.cannedButton}* on a ticket.`,
+      });
+    }
+
+    const threadTs = text ? parseThreadTs(text.split(/\s+/)[0]) : null;
+    if (text && !threadTs) {
+      return res.json({ response_type: 'ephemeral', text: '❌ That isn\'t a ticket link. Try `/canned help`.' });
+    }
+
+    res.status(200).send('');
+    await openCannedReplyModal(req.body.trigger_id, req.body.user_id, req.body.channel_id, threadTs);
+  } catch (error) {
+    console.error('❌ Error in /slack/canned:', error.message);
+    if (!res.headersSent) {
+      res.json({
+        response_type: 'ephemeral',
+        text: `❌ Error: ${error.message}`,
+      });
+    }
+  }
+});
+
+/**
+ * /slack/events - Slack Events API handler
+ *
+ * Handles:
+ * - Thread messages → automatically forwarded to WhatsApp
+ */
+app.post('/slack/events', async (req, res) => {
+  try {
+    // Handle Slack URL verification challenge
+    if (req.body.type === 'url_verification') {
+      console.log('🔐 Slack URL verification');
+      return res.json({ challenge: req.body.challenge });
+    }
+
+    // Acknowledge immediately to prevent Slack timeout
+    res.status(200).send('');
+
+    const event = req.body.event;
+    if (!event) return;
+
+    // Slack retries events it thinks timed out, and the same message can arrive twice
+    const retryNum = req.get('X-Slack-Retry-Num');
+    for (const [source, id] of getSlackEventIds(req.body)) {
+      if (!(await claimDelivery(source, id))) {
+        console.log(`♻️ Duplicate Slack event ${req.body.event_id} ignored (${source} ${id}${retryNum ? `, retry #${retryNum} (${req.get('X-Slack-Retry-Reason')})` : ''})`);
+        return;
+      }
+    }
+
+    console.log(`📨 [Event] type=${event.type} channel=${event.channel} subtype=${event.subtype || 'none'} bot_id=${event.bot_id || 'none'} thread_ts=${event.thread_ts || 'none'}`);
+
+    // Handle App Home tab opened
+    if (event.type === 'app_home_opened' && event.tab === 'home') {
+      await publishHomeTab(event.user);
+      if (await isAvailableAgent(event.user)) {
+        await sendAfterHoursSummary(event.user);
+      }
+      return;
+    }
+
+    // Handle message events
+    if (event.type === 'message') {
+      // Broadcast channel: non-threaded messages from humans trigger broadcast flow
+      console.log(`📨 [Broadcast Check] SLACK_BROADCAST_CHANNEL_ID="${SLACK_BROADCAST_CHANNEL_ID}" event.channel="${event.channel}" match=${event.channel === SLACK_BROADCAST_CHANNEL_ID}`);
+      if (
+        SLACK_BROADCAST_CHANNEL_ID &&
+        event.channel === SLACK_BROADCAST_CHANNEL_ID &&
+        !event.bot_id &&
+        !['bot_message', 'message_changed', 'message_deleted'].includes(event.subtype) &&
+        !event.thread_ts
+      ) {
+        await handleBroadcastMessage(event);
+        return;
+      }
+
+      // The first agent active in the support channel during business hours gets the overnight queue
+      if (event.channel === SLACK_CHANNEL_ID && event.user && !event.bot_id && !event.subtype && await isAvailableAgent(event.user)) {
+        await sendAfterHoursSummary(event.user);
+      }
+
+      await handleMessage(event);
+      return;
+    }
+
+  } catch (error) {
+    console.error('❌ Error in /slack/events:', error.message);
+  }
+});
+
+/**
+ * /slack/interactions - Slack Interactive Components handler
+ *
+ * Handles button clicks (e.g. Close Ticket button)
  */
 app.post('/slack/interactions', async (req, res) => {
   try {
@@ -601,6 +1435,13 @@ app.post('/slack/interactions', async (req, res) => {
         // Save contact to Redis
         await redis.set(`contact:${phone}`, JSON.stringify({ name, phone, saved_at: new Date().toISOString() }));
 
+        // Keep the Save Contact button off the ticket header when it is re-rendered
+        const ticketSession = meta.thread_ts ? await getSessionByThread(meta.thread_ts) : null;
+        if (ticketSession && ticketSession.phone === phone) {
+          ticketSession.is_saved_contact = true;
+          await updateSession(ticketSession);
+        }
+
         const channelId = meta.channel_id || SLACK_CHANNEL_ID;
 
         // Post confirmation in the thread
@@ -620,32 +1461,54 @@ app.post('/slack/interactions', async (req, res) => {
             }
           );
 
+          const messageTs = meta.message_ts || meta.thread_ts;
+
           // Remove the Save Contact button from the original message
-          if (meta.blocks) {
-            const updatedBlocks = meta.blocks.map(block => {
+          if (messageTs === meta.thread_ts && ticketSession && ticketSession.phone === phone) {
+            const { text, blocks } = buildTicketMessage(ticketSession);
+            await axios.post(
+              'https://slack.com/api/chat.update',
+              { channel: channelId, ts: messageTs, text, blocks },
+              { headers: { 'Authorization': `Bearer ${SLACK_BOT_TOKEN}`, 'Content-Type': 'application/json' } }
+            );
+          } else {
+            // Other messages (e.g. a shared contact card) are fetched again, as their blocks
+            // don't fit in the modal's private_metadata
+            const repliesResp = await axios.get(
+              `https://slack.com/api/conversations.replies?channel=${channelId}&ts=${meta.thread_ts}&oldest=${messageTs}&latest=${messageTs}&inclusive=true&limit=2`,
+              { headers: { 'Authorization': `Bearer ${SLACK_BOT_TOKEN}` } }
+            );
+            const blocks = repliesResp.data.messages?.find(message => message.ts === messageTs)?.blocks;
+            const updatedBlocks = blocks?.map(block => {
               if (block.type === 'actions') {
                 return {
                   ...block,
                   elements: block.elements.filter(el => el.action_id !== 'save_contact'),
                 };
               }
+              if (block.accessory?.action_id === 'save_contact' && JSON.parse(block.accessory.value).phone === phone) {
+                const { accessory, ...rest } = block;
+                return rest;
+              }
               return block;
             });
 
-            await axios.post(
-              'https://slack.com/api/chat.update',
-              {
-                channel: channelId,
-                ts: meta.thread_ts,
-                blocks: updatedBlocks,
-              },
-              {
-                headers: {
-                  'Authorization': `Bearer ${SLACK_BOT_TOKEN}`,
-                  'Content-Type': 'application/json',
+            if (updatedBlocks) {
+              await axios.post(
+                'https://slack.com/api/chat.update',
+                {
+                  channel: channelId,
+                  ts: messageTs,
+                  blocks: updatedBlocks,
                 },
-              }
-            );
+                {
+                  headers: {
+                    'Authorization': `Bearer ${SLACK_BOT_TOKEN}`,
+                    'Content-Type': 'application/json',
+                  },
+                }
+              );
+            }
           }
         }
 
@@ -664,23 +1527,110 @@ app.post('/slack/interactions', async (req, res) => {
         return res.status(200).json({ response_action: 'clear' });
       }
 
-      // Handle "Edit Contact Roles" modal submission
-      if (callbackId === 'edit_contact_roles_modal') {
+      // Handle "Saved Reply" editor submission
+      if (callbackId === 'canned_reply_edit_modal') {
         const meta = JSON.parse(payload.view.private_metadata);
-        const phone = meta.phone;
-        const selectedRoles = payload.view.state.values.contact_roles_block?.contact_roles_select?.selected_options || [];
-        const roles = selectedRoles.map(o => o.value);
+        const values = payload.view.state.values;
+        const name = values.canned_name_block.canned_name_input.value.trim();
+        const body = values.canned_body_block.canned_body_input.value.trim();
+        const mediaUrl = values.canned_media_block?.canned_media_input?.value?.trim();
+
+        const id = getCannedReplyId(name);
+        if (id !== meta.id && await getCannedReply(id)) {
+          return res.status(200).json({ response_action: 'errors', errors: { canned_name_block: STRINGS.cannedNameTaken } });
+        }
 
-        // Update contact in Redis
-        const contactData = await redis.get(`contact:${phone}`);
-        if (contactData) {
-          const contact = JSON.parse(contactData);
-          contact.roles = roles;
-          await redis.set(`contact:${phone}`, JSON.stringify(contact));
-          console.log(`🏷️ Roles updated for ${contact.name} (${phone}): ${roles.join(', ') || 'none'}`);
+        let media = null;
+        if (mediaUrl) {
+          const result = await inspectCannedMedia(mediaUrl);
+          if (result.error) {
+            return res.status(200).json({ response_action: 'errors', errors: { canned_media_block: result.error } });
+          }
+          media = result.media;
         }
 
-        // Refresh Home tab
+        if (meta.id && meta.id !== id) await redis.del(`canned:${meta.id}`);
+        await redis.set(`canned:${id}`, JSON.stringify({
+          id,
+          name,
+          body,
+          media,
+          updated_by: payload.user.id,
+          updated_at: new Date().toISOString(),
+        }));
+        console.log(`💬 Saved reply ${meta.id ? 'updated' : 'added'}: ${name}`);
+
+        await publishHomeTab(payload.user.id);
+        return res.status(200).json({ response_action: 'clear' });
+      }
+
+      // Handle "Send saved reply" modal submission
+      if (callbackId === 'canned_reply_modal') {
+        const meta = JSON.parse(payload.view.private_metadata);
+        const values = payload.view.state.values;
+        const threadTs = meta.thread_ts || values.canned_ticket_block.canned_ticket_select.selected_option.value;
+        const replyId = values.canned_reply_block.canned_reply_select.selected_option.value;
+
+        const session = await getSessionByThread(threadTs);
+        if (!session) {
+          const block = meta.thread_ts ? 'canned_reply_block' : 'canned_ticket_block';
+          return res.status(200).json({ response_action: 'errors', errors: { [block]: STRINGS.cannedTicketClosed } });
+        }
+
+        // Same rules as replying in the thread
+        const userId = payload.user.id;
+        if (session.owner_id && userId !== session.owner_id && CLAIM_ENFORCEMENT !== 'off') {
+          if (CLAIM_ENFORCEMENT === 'block') {
+            return res.status(200).json({
+              response_action: 'errors',
+              errors: { canned_reply_block: STRINGS.claimBlocked.replace('{owner}', session.owner_id) },
+            });
+          }
+          await postEphemeral(SLACK_CHANNEL_ID, userId, threadTs, STRINGS.claimWarning.replace('{owner}', session.owner_id));
+        }
+
+        res.status(200).json({ response_action: 'clear' });
+        await sendCannedReply(session, replyId, userId);
+        return;
+      }
+
+      // Handle "Add internal note" modal submission
+      if (callbackId === 'internal_note_modal') {
+        const meta = JSON.parse(payload.view.private_metadata);
+        const note = payload.view.state.values.internal_note_block.internal_note_input.value;
+
+        const response = await axios.post(
+          'https://slack.com/api/chat.postMessage',
+          {
+            channel: meta.channel_id,
+            thread_ts: meta.thread_ts,
+            text: STRINGS.internalNotePosted.replace('{user}', payload.user.id).replace('{note}', note),
+          },
+          { headers: { 'Authorization': `Bearer ${SLACK_BOT_TOKEN}`, 'Content-Type': 'application/json' } }
+        );
+        await recordInternalNote(meta.thread_ts, meta.channel_id, response.data.ts, payload.user.id, note);
+
+        console.log(`🔒 Internal note added by ${payload.user.id} to ${meta.thread_ts}`);
+        return res.status(200).json({ response_action: 'clear' });
+      }
+
+      // Handle "Edit Contact Roles" modal submission
+      if (callbackId === 'edit_contact_roles_modal') {
+        const meta = JSON.parse(payload.view.private_metadata);
+        const phone = meta.phone;
+        const selectedRoles = payload.view.state.values.contact_roles_block?.contact_roles_select?.selected_options || [];
+        const roles = selectedRoles.map(o => o.value);
+
+        // Update contact in Redis
+        const contactData = await redis.get(`contact:${phone}`);
+        if (contactData) {
+          const contact = JSON.parse(contactData);
+          contact.roles = roles;
+          await redis.set(`contact:${phone}`, JSON.stringify(contact));
+          console.log(`🏷️ Roles updated for ${contact.name} (${phone}): ${roles.join(', ') || 'none'}`);
+        }
+
+        // Refresh Home tab
         await publishHomeTab(payload.user.id);
         return res.status(200).json({ response_action: 'clear' });
       }
@@ -691,11 +1641,53 @@ app.post('/slack/interactions', async (req, res) => {
     // Acknowledge immediately
     res.status(200).send('');
 
+    // Handle the "Add internal note" message shortcut
+    if (payload.type === 'message_action' && payload.callback_id === 'add_internal_note') {
+      await openInternalNoteModal(payload);
+      return;
+    }
+
     if (payload.type !== 'block_actions') return;
 
     const action = payload.actions?.[0];
     if (!action) return;
 
+    // Handle availability buttons from App Home
+    if (action.action_id.startsWith('set_availability_')) {
+      await setAvailability(payload.user.id, action.value);
+      await publishHomeTab(payload.user.id);
+      return;
+    }
+
+    // Handle saved reply management from App Home
+    if (action.action_id === 'add_canned_reply') {
+      await openCannedReplyEditor(payload.trigger_id, null);
+      return;
+    }
+    if (action.action_id === 'edit_canned_reply') {
+      const reply = await getCannedReply(action.value);
+      if (reply) await openCannedReplyEditor(payload.trigger_id, reply);
+      return;
+    }
+    if (action.action_id === 'delete_canned_reply') {
+      await redis.del(`canned:${action.value}`);
+      console.log(`💬 Saved reply deleted: ${action.value}`);
+      await publishHomeTab(payload.user.id);
+      return;
+    }
+
+    // Handle "Retry" on a message that couldn't be delivered
+    if (action.action_id === 'retry_outbound') {
+      await retryOutboundMessage(action.value, payload);
+      return;
+    }
+
+    // Handle "Send saved reply" button on a ticket
+    if (action.action_id === 'send_canned_reply') {
+      await openCannedReplyModal(payload.trigger_id, payload.user.id, payload.channel.id, payload.message.ts);
+      return;
+    }
+
     // Handle "Add Role" button from App Home
     if (action.action_id === 'add_role') {
       await axios.post(
@@ -828,44 +1820,81 @@ app.post('/slack/interactions', async (req, res) => {
         return;
       }
 
-      // Fetch the original message text
-      const historyResp = await axios.get(
-        `https://slack.com/api/conversations.history?channel=${channelId}&latest=${originalMessageTs}&inclusive=true&limit=1`,
-        { headers: { 'Authorization': `Bearer ${SLACK_BOT_TOKEN}` } }
-      );
-      const originalMessage = historyResp.data.messages?.[0]?.text || '';
+      // A double click must not start the broadcast twice
+      if (!(await claimDelivery('broadcast', botMessageTs))) return;
 
-      // Update the bot's message to show "sending..."
-      await axios.post(
-        'https://slack.com/api/chat.update',
-        {
-          channel: channelId,
-          ts: botMessageTs,
-          text: STRINGS.broadcastSending,
-          blocks: [{ type: 'section', text: { type: 'mrkdwn', text: STRINGS.broadcastSending } }],
-        },
-        { headers: { 'Authorization': `Bearer ${SLACK_BOT_TOKEN}`, 'Content-Type': 'application/json' } }
-      );
+      let broadcastId;
+      try {
+        // Fetch the original message text
+        const historyResp = await axios.get(
+          `https://slack.com/api/conversations.history?channel=${channelId}&latest=${originalMessageTs}&inclusive=true&limit=1`,
+          { headers: { 'Authorization': `Bearer ${SLACK_BOT_TOKEN}` } }
+        );
+        const originalMessage = historyResp.data.messages?.[0]?.text || '';
+
+        broadcastId = await createBroadcast({
+          message: originalMessage,
+          roles: selectedRoles,
+          channelId,
+          threadTs: originalMessageTs,
+          progressTs: botMessageTs,
+          userId: payload.user.id,
+        });
+      } catch (error) {
+        // Nothing was sent, so the button can be clicked again
+        await releaseDelivery('broadcast', botMessageTs).catch(() => {});
+        throw error;
+      }
+
+      if (!broadcastId) {
+        const roleList = selectedRoles.map(r => `\`${r}\``).join(', ');
+        await axios.post(
+          'https://slack.com/api/chat.update',
+          {
+            channel: channelId,
+            ts: botMessageTs,
+            text: STRINGS.broadcastNoContacts,
+            blocks: [{ type: 'section', text: { type: 'mrkdwn', text: `${STRINGS.broadcastNoContacts}\n${STRINGS.broadcastRoles.replace('{roles}', roleList)}` } }],
+          },
+          { headers: { 'Authorization': `Bearer ${SLACK_BOT_TOKEN}`, 'Content-Type': 'application/json' } }
+        );
+        return;
+      }
 
-      // Send the broadcast
-      const count = await sendBroadcast(originalMessage, selectedRoles, channelId, originalMessageTs);
+      // Not awaited: the broadcast keeps running long after this request is answered
+      runBroadcast(broadcastId);
+      return;
+    }
 
-      // Update with results
-      const resultText = count > 0
-        ? STRINGS.broadcastSent.replace('{count}', count)
-        : STRINGS.broadcastNoContacts;
-      const roleList = selectedRoles.map(r => `\`${r}\``).join(', ');
+    // Handle the Pause / Resume / Cancel / Download report buttons on a broadcast
+    if (['pause_broadcast', 'resume_broadcast', 'cancel_broadcast'].includes(action.action_id)) {
+      await setBroadcastState(action.value, action.action_id.replace('_broadcast', ''), payload.user.id);
+      return;
+    }
+    if (action.action_id === 'broadcast_report') {
+      await uploadBroadcastReport(action.value);
+      return;
+    }
 
-      await axios.post(
-        'https://slack.com/api/chat.update',
-        {
-          channel: channelId,
-          ts: botMessageTs,
-          text: resultText,
-          blocks: [{ type: 'section', text: { type: 'mrkdwn', text: `${resultText}\nRoles: ${roleList}` } }],
-        },
-        { headers: { 'Authorization': `Bearer ${SLACK_BOT_TOKEN}`, 'Content-Type': 'application/json' } }
-      );
+    // Handle "History" on a ticket header — list the customer's past tickets in a modal
+    if (action.action_id === 'customer_history') {
+      await openCustomerHistoryModal(payload.trigger_id, action.value, payload.message.ts);
+      return;
+    }
+
+    // Handle "Export transcript" on a ticket header
+    if (action.action_id === 'export_transcript') {
+      const format = action.selected_option?.value || 'html';
+      const exported = await exportTranscript(payload.message.ts, format);
+      if (!exported) {
+        await postEphemeral(payload.channel.id, payload.user.id, payload.message.ts, STRINGS.transcriptNotFound);
+      }
+      return;
+    }
+
+    // Handle "Claim" / "Unclaim" / "Reassign" on a ticket header
+    if (['claim_ticket', 'unclaim_ticket', 'reassign_ticket'].includes(action.action_id)) {
+      await handleOwnershipAction(action, payload);
       return;
     }
 
@@ -873,8 +1902,13 @@ app.post('/slack/interactions', async (req, res) => {
     if (action.action_id === 'save_contact') {
       const data = JSON.parse(action.value);
       const messageTs = payload.message.ts;
+      const threadTs = payload.message.thread_ts || messageTs;
       const channelId = payload.channel.id;
 
+      // The ticket header is re-rendered from its session; other messages (e.g. a shared
+      // contact card) are fetched again and updated from their own blocks
+      const meta = { phone: data.phone, thread_ts: threadTs, message_ts: messageTs, channel_id: channelId };
+
       // Check if contact already exists
       const existing = await redis.get(`contact:${data.phone}`);
       const defaultName = existing ? JSON.parse(existing).name : data.name;
@@ -886,7 +1920,7 @@ app.post('/slack/interactions', async (req, res) => {
           view: {
             type: 'modal',
             callback_id: 'save_contact_modal',
-            private_metadata: JSON.stringify({ phone: data.phone, thread_ts: messageTs, channel_id: channelId, blocks: payload.message.blocks }),
+            private_metadata: JSON.stringify(meta),
             title: { type: 'plain_text', text: STRINGS.saveContactModalTitle },
             submit: { type: 'plain_text', text: 'Save' },
             close: { type: 'plain_text', text: 'Cancel' },
@@ -954,14 +1988,15 @@ app.post('/slack/interactions', async (req, res) => {
       },
     ];
 
-    // Preserve the Save Contact button if it exists
+    // Preserve the Save Contact, History and transcript export controls if they exist
     const actionsBlock = payload.message.blocks?.find(b => b.type === 'actions');
     if (actionsBlock) {
-      const saveContactBtn = actionsBlock.elements?.find(el => el.action_id === 'save_contact');
-      if (saveContactBtn) {
+      const keptElements = actionsBlock.elements?.filter(el =>
+        ['save_contact', 'customer_history', 'export_transcript'].includes(el.action_id)) || [];
+      if (keptElements.length > 0) {
         updatedBlocks.push({
           type: 'actions',
-          elements: [saveContactBtn],
+          elements: keptElements,
         });
       }
     }
@@ -982,7 +2017,8 @@ app.post('/slack/interactions', async (req, res) => {
       }
     );
 
-    // Clean up session from Redis
+    // Archive the transcript, then clean up session from Redis
+    await closeTicketRecord(session, payload.user.id);
     await deleteSession(session.session_id, messageTs);
     console.log(`✅ Session ${session.session_id} closed`);
 
@@ -992,9 +2028,18 @@ app.post('/slack/interactions', async (req, res) => {
 });
 
 /**
- * Handle message events - forward thread replies to WhatsApp
+ * Handle message events - forward thread replies to WhatsApp (except internal notes)
  */
 async function handleMessage(event) {
+  if (event.subtype === 'message_changed') {
+    await handleMessageEdit(event);
+    return;
+  }
+  if (event.subtype === 'message_deleted') {
+    await handleMessageDeletion(event);
+    return;
+  }
+
   // Ignore bot messages
   if (event.bot_id || event.subtype === 'bot_message') {
     return;
@@ -1013,30 +2058,111 @@ async function handleMessage(event) {
     return;
   }
 
-  // Agent has replied — cancel any pending auto-response timers
-  cancelAutoResponses(session.session_id);
+  // Internal notes stay in Slack
+  if (isInternalNote(event.text)) {
+    await recordInternalNote(threadTs, event.channel, event.ts, event.user, stripInternalNotePrefix(event.text));
+    console.log(`🔒 Internal note from ${event.user} kept in Slack for session ${session.session_id}`);
+    return;
+  }
+
+  // Someone other than the owner is replying in a claimed ticket
+  if (session.owner_id && event.user && event.user !== session.owner_id && CLAIM_ENFORCEMENT !== 'off') {
+    const blocked = CLAIM_ENFORCEMENT === 'block';
+    await postEphemeral(event.channel, event.user, threadTs,
+      (blocked ? STRINGS.claimBlocked : STRINGS.claimWarning).replace('{owner}', session.owner_id));
+    if (blocked) {
+      console.log(`🚫 Reply from ${event.user} not forwarded, ticket owned by ${session.owner_id}`);
+      return;
+    }
+  }
 
   // Handle file uploads
   if (event.files && event.files.length > 0) {
+    // Agent has replied — cancel any pending auto-response timers
+    await cancelAutoResponses(session.session_id);
+    const caption = await slackToWhatsApp(event.text);
     for (const file of event.files) {
-      await handleFileUpload(file, session, threadTs, event.text);
+      await handleFileUpload(file, session, threadTs, caption, event.user, event.ts);
     }
     return;
   }
 
   // Handle text messages
-  const message = event.text;
+  const message = await slackToWhatsApp(event.text);
   if (!message) return;
 
   console.log(`📤 Auto-forwarding message to WhatsApp for session ${session.session_id}`);
+  await sendAgentMessage(session, event.user, message, null, event.ts);
+}
+
+/**
+ * Send an agent's message (optionally with media already hosted at a URL) to the customer
+ * through the outbound queue. `messageTs` is the Slack message that shows its delivery
+ * status; `followUp` marks a correction or retraction ({ type, originalTs }) of an
+ * earlier message. Cancels any pending auto-responses.
+ */
+async function sendAgentMessage(session, userId, text, media = null, messageTs = null, followUp = null) {
+  await cancelAutoResponses(session.session_id);
+  await queueOutboundMessage(session, userId, text, media, messageTs, followUp);
+}
+
+/**
+ * Handle the Claim / Unclaim / Reassign controls on a ticket header.
+ * Stores the owner on the session and re-renders the header.
+ */
+async function handleOwnershipAction(action, payload) {
+  const messageTs = payload.message.ts;
+  const channelId = payload.channel.id;
+  const userId = payload.user.id;
+
+  const session = await getSessionByThread(messageTs);
+  if (!session) {
+    console.warn('⚠️ No session found for thread:', messageTs);
+    return;
+  }
+
+  let notice;
+  if (action.action_id === 'claim_ticket') {
+    if (session.owner_id && session.owner_id !== userId) {
+      await postEphemeral(channelId, userId, messageTs, STRINGS.ticketAlreadyClaimed.replace('{owner}', session.owner_id));
+      return;
+    }
+    session.owner_id = userId;
+    notice = STRINGS.ticketClaimed.replace('{user}', userId);
+  } else if (action.action_id === 'unclaim_ticket') {
+    if (session.owner_id && session.owner_id !== userId) {
+      await postEphemeral(channelId, userId, messageTs, STRINGS.ticketUnclaimNotOwner.replace('{owner}', session.owner_id));
+      return;
+    }
+    session.owner_id = null;
+    notice = STRINGS.ticketUnclaimed.replace('{user}', userId);
+  } else {
+    const newOwner = action.selected_user;
+    if (!newOwner || newOwner === session.owner_id) return;
+    if (session.owner_id && session.owner_id !== userId) {
+      await postEphemeral(channelId, userId, messageTs, STRINGS.ticketReassignNotOwner.replace('{owner}', session.owner_id));
+      return;
+    }
+    session.owner_id = newOwner;
+    notice = STRINGS.ticketReassigned.replace('{user}', userId).replace('{owner}', newOwner);
+  }
+  session.claimed_at = session.owner_id ? new Date().toISOString() : null;
+  await updateSession(session);
+
+  const { text, blocks } = buildTicketMessage(session);
+  await axios.post(
+    'https://slack.com/api/chat.update',
+    { channel: channelId, ts: messageTs, text, blocks },
+    { headers: { 'Authorization': `Bearer ${SLACK_BOT_TOKEN}`, 'Content-Type': 'application/json' } }
+  );
 
   await axios.post(
-    `${AI_STUDIO_BASE_URL}/live-agent/outbound/${session.session_id}`,
-    { message_type: 'text', text: message },
-    { headers: { 'X-Vgai-Key': AI_STUDIO_KEY } }
+    'https://slack.com/api/chat.postMessage',
+    { channel: channelId, thread_ts: messageTs, text: notice },
+    { headers: { 'Authorization': `Bearer ${SLACK_BOT_TOKEN}`, 'Content-Type': 'application/json' } }
   );
 
-  console.log('✅ Message sent to WhatsApp');
+  console.log(`🙋 Ticket ${session.session_id} owner is now ${session.owner_id || 'nobody'}`);
 }
 
 /**
@@ -1106,23 +2232,87 @@ async function handleBroadcastMessage(event) {
   }
 }
 
+// What WhatsApp accepts for each outbound message type
+const WHATSAPP_MEDIA_LIMITS = {
+  image: {
+    maxMb: 5,
+    kind: 'images',
+    formats: 'JPEG or PNG images',
+    mimeTypes: ['image/jpeg', 'image/png'],
+  },
+  video: {
+    maxMb: 16,
+    kind: 'videos',
+    formats: 'MP4 or 3GP videos',
+    mimeTypes: ['video/mp4', 'video/3gpp'],
+  },
+  audio: {
+    maxMb: 16,
+    kind: 'audio',
+    formats: 'AAC, AMR, MP3, M4A or OGG audio',
+    mimeTypes: ['audio/aac', 'audio/amr', 'audio/mpeg', 'audio/mp4', 'audio/ogg'],
+  },
+  file: {
+    maxMb: 100,
+    kind: 'documents',
+    formats: 'PDF, Word, Excel, PowerPoint or text documents',
+    mimeTypes: [
+      'application/pdf',
+      'application/msword',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/vnd.ms-excel',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.ms-powerpoint',
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+      'text/plain',
+      'text/csv',
+    ],
+  },
+};
+
+/**
+ * Get the WhatsApp message type for a MIME type (image, video, audio or file), or null
+ */
+function getWhatsAppMessageType(mimetype) {
+  const mime = (mimetype || '').split(';')[0].trim().toLowerCase();
+  const type = Object.keys(WHATSAPP_MEDIA_LIMITS).find(key => WHATSAPP_MEDIA_LIMITS[key].mimeTypes.includes(mime));
+  return type || null;
+}
+
 /**
- * Handle file uploads from Slack - upload to Cloudinary and send to WhatsApp
+ * Handle file uploads from Slack - upload to media storage and send to WhatsApp
  */
-async function handleFileUpload(file, session, threadTs, caption) {
+async function handleFileUpload(file, session, threadTs, caption, userId, messageTs) {
   try {
-    const fileType = file.mimetype?.split('/')[0]; // 'image', 'video', 'audio', etc.
+    const fileType = getWhatsAppMessageType(file.mimetype); // 'image', 'video', 'audio' or 'file'
 
-    if (!['image', 'video', 'audio'].includes(fileType)) {
+    if (!fileType) {
       console.log(`⚠️ Unsupported file type: ${file.mimetype}`);
+      const formats = Object.values(WHATSAPP_MEDIA_LIMITS).map(limit => limit.formats).join('; ');
+      await axios.post(SLACK_WEBHOOK_URL, {
+        thread_ts: threadTs,
+        text: STRINGS.unsupportedFileType
+          .replace('{type}', file.mimetype || file.filetype || 'these')
+          .replace('{formats}', formats),
+      });
+      return;
+    }
+
+    const limit = WHATSAPP_MEDIA_LIMITS[fileType];
+    if (file.size > limit.maxMb * 1024 * 1024) {
+      console.log(`⚠️ ${file.name} is too large for WhatsApp (${file.size} bytes)`);
       await axios.post(SLACK_WEBHOOK_URL, {
         thread_ts: threadTs,
-        text: STRINGS.unsupportedFileType.replace('{type}', file.mimetype),
+        text: STRINGS.fileTooLarge
+          .replace('{name}', file.name)
+          .replace('{size}', formatFileSize(file.size))
+          .replace('{kind}', limit.kind)
+          .replace('{limit}', `${limit.maxMb} MB`),
       });
       return;
     }
 
-    console.log(`📤 Uploading ${fileType} to Cloudinary...`);
+    console.log(`📤 Uploading ${fileType} to ${MEDIA_STORAGE} storage...`);
 
     // Download file from Slack (requires bot token for private files)
     const fileResponse = await axios.get(file.url_private_download || file.url_private, {
@@ -1130,42 +2320,17 @@ async function handleFileUpload(file, session, threadTs, caption) {
       responseType: 'arraybuffer',
     });
 
-    // Upload to Cloudinary
-    const resourceType = fileType === 'image' ? 'image' : 'video'; // Cloudinary uses 'video' for both video and audio
-    const uploadResult = await new Promise((resolve, reject) => {
-      const uploadStream = cloudinary.uploader.upload_stream(
-        { resource_type: resourceType },
-        (error, result) => {
-          if (error) reject(error);
-          else resolve(result);
-        }
-      );
-      uploadStream.end(Buffer.from(fileResponse.data));
+    // Store it somewhere WhatsApp can fetch it from
+    const stored = await storeMedia(Buffer.from(fileResponse.data), {
+      filename: file.name,
+      mimetype: file.mimetype,
+      fileType,
     });
 
-    console.log(`✅ Uploaded to Cloudinary: ${uploadResult.secure_url}`);
-
-    // Send to Vonage AI Studio
-    const payload = {
-      message_type: fileType,
-      [fileType]: {
-        url: uploadResult.secure_url,
-      },
-    };
-
-    // Add caption if provided
-    if (caption) {
-      payload[fileType].caption = caption;
-    }
-
-    await axios.post(
-      `${AI_STUDIO_BASE_URL}/live-agent/outbound/${session.session_id}`,
-      payload,
-      { headers: { 'X-Vgai-Key': AI_STUDIO_KEY } }
-    );
-
-    console.log(`✅ ${fileType} sent to WhatsApp`);
+    console.log(`✅ Uploaded to ${MEDIA_STORAGE}: ${stored.url}`);
 
+    // Documents are shown to the customer with their filename
+    await sendAgentMessage(session, userId, caption, { type: fileType, url: stored.url, name: file.name }, messageTs);
   } catch (error) {
     console.error(`❌ Error handling file upload:`, error.message);
     await axios.post(SLACK_WEBHOOK_URL, {
@@ -1184,6 +2349,144 @@ const FSI = '\u2068';  // First Strong Isolate (auto-detect direction)
 const LRI = '\u2066';  // Left-to-Right Isolate
 const PDI = '\u2069';  // Pop Directional Isolate
 
+/**
+ * Express middleware - verify the X-Slack-Signature header of a Slack request
+ *
+ * The signature is an HMAC-SHA256 of `v0:<timestamp>:<raw body>` keyed with the
+ * app's signing secret. Requests with a stale timestamp are rejected to prevent
+ * replays.
+ */
+function verifySlackSignature(req, res, next) {
+  if (!SLACK_SIGNING_SECRET) {
+    console.error('❌ SLACK_SIGNING_SECRET is not set, rejecting Slack request');
+    return res.status(401).send('Slack signing secret not configured');
+  }
+
+  const timestamp = req.get('X-Slack-Request-Timestamp');
+  const signature = req.get('X-Slack-Signature');
+  if (!timestamp || !signature) {
+    console.warn(`⚠️ Missing Slack signature headers on ${req.originalUrl}`);
+    return res.status(401).send('Missing Slack signature');
+  }
+
+  const age = Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp));
+  if (!Number.isFinite(age) || age > SLACK_SIGNATURE_MAX_AGE_SECONDS) {
+    console.warn(`⚠️ Stale Slack request timestamp on ${req.originalUrl}: ${timestamp}`);
+    return res.status(401).send('Stale Slack request');
+  }
+
+  const rawBody = req.rawBody ? req.rawBody.toString('utf8') : '';
+  const expected = 'v0=' + crypto
+    .createHmac('sha256', SLACK_SIGNING_SECRET)
+    .update(`v0:${timestamp}:${rawBody}`)
+    .digest('hex');
+
+  if (!safeEqual(signature, expected)) {
+    console.warn(`⚠️ Invalid Slack signature on ${req.originalUrl}`);
+    return res.status(401).send('Invalid Slack signature');
+  }
+
+  next();
+}
+
+/**
+ * Express middleware - authenticate AI Studio webhook calls
+ *
+ * Modes (AI_STUDIO_WEBHOOK_AUTH):
+ *   token - shared secret in `Authorization: Bearer <secret>`, `X-Webhook-Token` or `?token=`
+ *   hmac  - `X-Webhook-Signature: sha256=<hex>` computed over the raw body
+ *           (over the request path + query string for GET requests)
+ *   none  - no secret check (IP allowlist still applies)
+ */
+function verifyAIStudioRequest(req, res, next) {
+  const reject = (reason) => {
+    console.warn(`🚫 Rejected AI Studio request to ${req.originalUrl.split('?')[0]} from ${req.ip}: ${reason}`);
+    return res.status(401).json({ error: 'Unauthorized' });
+  };
+
+  if (AI_STUDIO_ALLOWED_IPS.length > 0) {
+    const ip = (req.ip || '').replace(/^::ffff:/, '');
+    if (!AI_STUDIO_ALLOWED_IPS.includes(ip)) return reject('IP not in allowlist');
+  }
+
+  if (AI_STUDIO_WEBHOOK_AUTH === 'none') return next();
+
+  if (!AI_STUDIO_WEBHOOK_SECRET) return reject('AI_STUDIO_WEBHOOK_SECRET is not set');
+
+  if (AI_STUDIO_WEBHOOK_AUTH === 'hmac') {
+    const signature = req.get('X-Webhook-Signature') || '';
+    const signedContent = req.method === 'GET'
+      ? req.originalUrl
+      : (req.rawBody ? req.rawBody.toString('utf8') : '');
+    const expected = 'sha256=' + crypto
+      .createHmac('sha256', AI_STUDIO_WEBHOOK_SECRET)
+      .update(signedContent)
+      .digest('hex');
+    if (!safeEqual(signature, expected)) return reject('invalid signature');
+    return next();
+  }
+
+  const bearer = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+  const token = bearer || req.get('X-Webhook-Token') || req.query.token || '';
+  if (!safeEqual(String(token), AI_STUDIO_WEBHOOK_SECRET)) return reject('invalid token');
+  next();
+}
+
+/**
+ * Express middleware - verify a Vonage signed webhook
+ *
+ * Vonage sends `Authorization: Bearer <JWT>`, signed (HS256) with the account's
+ * signature secret; its `payload_hash` claim is the SHA-256 of the raw body and
+ * `iat` is when it was issued.
+ */
+function verifyVonageSignature(req, res, next) {
+  const reject = (reason) => {
+    console.warn(`🚫 Rejected Vonage request to ${req.originalUrl.split('?')[0]}: ${reason}`);
+    return res.status(401).json({ error: 'Unauthorized' });
+  };
+
+  if (!VONAGE_SIGNATURE_SECRET) return reject('VONAGE_SIGNATURE_SECRET is not set');
+
+  const token = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+  const [header, payload, signature] = token.split('.');
+  if (!header || !payload || !signature) return reject('missing token');
+
+  const expected = crypto
+    .createHmac('sha256', VONAGE_SIGNATURE_SECRET)
+    .update(`${header}.${payload}`)
+    .digest('base64url');
+  if (!safeEqual(signature, expected)) return reject('invalid signature');
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return reject('invalid token');
+  }
+  if (!claims || typeof claims !== 'object') return reject('invalid token');
+
+  const now = Date.now() / 1000;
+  if (typeof claims.iat !== 'number' || Math.abs(now - claims.iat) > VONAGE_SIGNATURE_MAX_AGE_SECONDS) {
+    return reject('stale token');
+  }
+  if (typeof claims.exp === 'number' && claims.exp < now) return reject('expired token');
+
+  if (typeof claims.payload_hash !== 'string') return reject('missing payload hash');
+  const bodyHash = crypto.createHash('sha256').update(req.rawBody || '').digest('hex');
+  if (!safeEqual(claims.payload_hash, bodyHash)) return reject('body does not match signature');
+
+  next();
+}
+
+/**
+ * Constant-time string comparison
+ */
+function safeEqual(a, b) {
+  const aBuf = Buffer.from(a);
+  const bBuf = Buffer.from(b);
+  return aBuf.length === bBuf.length && crypto.timingSafeEqual(aBuf, bBuf);
+}
+
 /**
  * Format a phone number for display using libphonenumber-js
  */
@@ -1204,391 +2507,4013 @@ function formatContact(name, phone) {
 }
 
 /**
- * Extract parameters from AI Studio history into a key-value object
+ * Decode the HTML entities Slack escapes in message and command text
  */
-function extractParameters(parameters = []) {
-  const result = {};
-  if (!parameters || !parameters.length) return result;
-
-  for (const param of parameters) {
-    if (param.name && param.value) {
-      result[param.name] = param.value;
-    }
-  }
-  return result;
+function decodeSlackEntities(text) {
+  if (!text) return '';
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
 }
 
-// ============================================
-// Contacts & Roles Management
-// ============================================
+// Slack emoji names that node-emoji knows by another name
+const SLACK_EMOJI_ALIASES = {
+  thumbsup: '+1',
+  thumbsdown: '-1',
+  simple_smile: 'slightly_smiling_face',
+  slightly_smiling: 'slightly_smiling_face',
+  white_frowning_face: 'frowning_face',
+  heavy_heart_exclamation_mark_ornament: 'heavy_heart_exclamation',
+};
+
+// Slack's `:skin-tone-N:` suffixes as Unicode skin tone modifiers
+const SKIN_TONE_MODIFIERS = {
+  2: '\u{1F3FB}',
+  3: '\u{1F3FC}',
+  4: '\u{1F3FD}',
+  5: '\u{1F3FE}',
+  6: '\u{1F3FF}',
+};
 
 /**
- * Get all saved contacts from Redis
+ * Convert a Slack message (mrkdwn) to WhatsApp text.
+ *
+ * Links become plain URLs, mentions become names, emoji shortcodes become Unicode and
+ * HTML entities are unescaped. Bold, italic and strikethrough use the same markers in
+ * both apps; Markdown-style `**bold**` and `~~strike~~` are translated, and inline code
+ * becomes WhatsApp monospace. Code is otherwise sent as written.
  */
-async function getAllContacts() {
-  const keys = await redis.keys('contact:*');
-  const contacts = [];
-  for (const key of keys) {
-    const data = await redis.get(key);
-    if (data) {
-      const contact = JSON.parse(data);
-      if (!contact.roles) contact.roles = [];
-      contacts.push(contact);
-    }
-  }
-  contacts.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
-  return contacts;
+async function slackToWhatsApp(text) {
+  if (!text) return '';
+
+  // Set code (and later URLs) aside so nothing inside it is converted
+  const kept = [];
+  const keep = (content) => {
+    kept.push(decodeSlackEntities(content));
+    return `\u0000${kept.length - 1}\u0000`;
+  };
+  const keepCode = (content) => keep('```' + content + '```');
+  let result = text
+    .replace(/```([\s\S]*?)```/g, (match, content) => keepCode(content))
+    .replace(/`([^`\n]+)`/g, (match, content) => keepCode(content));
+
+  const userIds = [...new Set([...result.matchAll(/<@([UW][A-Z0-9]+)(?:\|[^>]*)?>/g)].map(match => match[1]))];
+  const names = userIds.length > 0 ? await resolveUserNames(userIds) : {};
+
+  result = result
+    .replace(/<@([UW][A-Z0-9]+)(?:\|[^>]*)?>/g, (match, userId) => `@${names[userId]}`)
+    .replace(/<#[A-Z0-9]+\|([^>]*)>/g, '#$1')
+    .replace(/<!(here|channel|everyone)(?:\|[^>]*)?>/g, '@$1')
+    .replace(/<!(?:date|subteam)\^[^|>]*\|([^>]*)>/g, '$1')
+    .replace(/<((?:https?|mailto|tel):[^|>]+)(?:\|([^>]+))?>/g, (match, url, label) => {
+      const plain = url.replace(/^(mailto|tel):/, '');
+      return !label || label === url || label === plain ? keep(plain) : `${label} (${keep(plain)})`;
+    })
+    .replace(/:([a-z0-9_+'-]+):(?::skin-tone-([2-6]):)?/g, (match, name, tone) => {
+      const unicode = emoji.get(SLACK_EMOJI_ALIASES[name] || name);
+      return unicode ? unicode + (tone ? SKIN_TONE_MODIFIERS[tone] : '') : match;
+    })
+    .replace(/\*\*(.+?)\*\*/g, '*$1*')
+    .replace(/~~(.+?)~~/g, '~$1~');
+
+  return decodeSlackEntities(result).replace(/\u0000(\d+)\u0000/g, (match, index) => kept[index]);
 }
 
 /**
- * Get all available roles from Redis
+ * Convert WhatsApp text to Slack mrkdwn.
+ *
+ * `&`, `<` and `>` are escaped so customers can't post links or mentions (a leading `>`
+ * still shows as a quote), one-line ```monospace``` becomes inline code and `* ` bullets
+ * become `•` so Slack doesn't read them as bold.
  */
-async function getAllRoles() {
-  const roles = await redis.sMembers('roles');
-  return roles.sort();
+function whatsAppToSlack(text) {
+  if (!text) return '';
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/```([^`\n]+)```/g, '`$1`')
+    .replace(/^([ \t]*)\* /gm, '$1• ');
 }
 
 /**
- * Publish the App Home tab for a given user
+ * Build the Slack message for an inbound WhatsApp message.
+ * Media that couldn't be re-hosted is shown by link.
  */
-async function publishHomeTab(userId) {
-  const roles = await getAllRoles();
-  const contacts = await getAllContacts();
+async function buildInboundMessage(body, messageType, baseMessage) {
+  let slackMessage;
+  const unsupported = STRINGS.customerUnsupported.replace('{type}', `\`${messageType}\``);
+
+  switch (messageType) {
+    case 'image': {
+      const image = body.image || {};
+      const imageCaption = image.caption ? `\n"${whatsAppToSlack(image.caption)}"` : '';
+      slackMessage = {
+        ...baseMessage,
+        text: image.url ? `${STRINGS.customerImage}${imageCaption}\n${image.url}` : `${unsupported}${imageCaption}`
+      };
+      break;
+    }
 
-  const blocks = [];
+    case 'video': {
+      const video = body.video || {};
+      const videoCaption = video.caption ? `\n"${whatsAppToSlack(video.caption)}"` : '';
+      slackMessage = {
+        ...baseMessage,
+        text: video.url ? `${STRINGS.customerVideo}${videoCaption}\n${video.url}` : `${unsupported}${videoCaption}`
+      };
+      break;
+    }
 
-  // --- Roles Section ---
-  blocks.push(
-    { type: 'header', text: { type: 'plain_text', text: STRINGS.homeRolesHeader } },
-  );
+    case 'audio': {
+      slackMessage = {
+        ...baseMessage,
+        text: body.audio?.url ? `${STRINGS.customerAudio}\n🎵 ${body.audio.url}` : unsupported
+      };
+      break;
+    }
 
-  if (roles.length === 0) {
-    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: STRINGS.homeNoRoles } });
-  } else {
-    for (const role of roles) {
-      blocks.push({
-        type: 'section',
-        text: { type: 'mrkdwn', text: `\`${role}\`` },
-        accessory: {
-          type: 'button',
-          text: { type: 'plain_text', text: 'Remove' },
-          style: 'danger',
-          action_id: 'remove_role',
-          value: role,
-          confirm: {
-            title: { type: 'plain_text', text: STRINGS.homeRemoveRoleConfirmTitle },
-            text: { type: 'mrkdwn', text: STRINGS.homeRemoveRoleConfirmText },
-            confirm: { type: 'plain_text', text: 'Remove' },
-            deny: { type: 'plain_text', text: 'Cancel' },
+    case 'file':
+    case 'document': {
+      const file = body.file || body.document || {};
+      const fileName = file.name || file.caption || 'document';
+      const size = file.size || (file.url && await getRemoteFileSize(file.url));
+      const fileCaption = file.caption && file.caption !== fileName ? `\n"${whatsAppToSlack(file.caption)}"` : '';
+      const details = `📄 *${whatsAppToSlack(fileName)}*${size ? ` (${formatFileSize(size)})` : ''}${fileCaption}`;
+      if (!file.url) {
+        slackMessage = { ...baseMessage, text: `${unsupported}\n${details}` };
+        break;
+      }
+      slackMessage = {
+        ...baseMessage,
+        text: `${STRINGS.customerFile}\n${details}\n${file.url}`,
+        blocks: [
+          {
+            type: 'section',
+            text: { type: 'mrkdwn', text: `${STRINGS.customerFile}\n${details}` },
+            accessory: {
+              type: 'button',
+              text: { type: 'plain_text', text: STRINGS.downloadFile },
+              url: file.url,
+            },
           },
-        },
-      });
+        ],
+      };
+      break;
+    }
+
+    case 'location': {
+      const location = body.location || {};
+      const lat = parseFloat(location.lat ?? location.latitude);
+      const long = parseFloat(location.long ?? location.longitude);
+      const place = whatsAppToSlack([location.name, location.address].filter(Boolean).join('\n'));
+      if (!Number.isFinite(lat) || !Number.isFinite(long)) {
+        // No coordinates: show the place name/address if there is one
+        slackMessage = { ...baseMessage, text: place ? `${STRINGS.customerLocation}\n${FSI}${place}${PDI}` : unsupported };
+        break;
+      }
+      const mapUrl = `https://www.google.com/maps/search/?api=1&query=${lat},${long}`;
+      const details = `${place ? `${FSI}${place}${PDI}\n` : ''}📍 ${lat}, ${long}`;
+      slackMessage = {
+        ...baseMessage,
+        text: `${STRINGS.customerLocation}\n${details}\n${mapUrl}`,
+        blocks: [
+          {
+            type: 'section',
+            text: { type: 'mrkdwn', text: `${STRINGS.customerLocation}\n${details}` },
+            accessory: {
+              type: 'button',
+              text: { type: 'plain_text', text: STRINGS.openMap },
+              url: mapUrl,
+            },
+          },
+        ],
+      };
+      break;
+    }
+
+    case 'vcard':
+    case 'contact':
+    case 'contacts': {
+      const contacts = await extractSharedContacts(body);
+      const blocks = [
+        { type: 'section', text: { type: 'mrkdwn', text: STRINGS.customerContact } },
+      ];
+      for (const contact of contacts) {
+        const section = {
+          type: 'section',
+          text: { type: 'mrkdwn', text: `👤 *${formatContact(whatsAppToSlack(contact.name || 'Unknown'), contact.phone)}*` },
+        };
+        if (contact.phone) {
+          section.accessory = {
+            type: 'button',
+            text: { type: 'plain_text', text: STRINGS.saveContactButton },
+            action_id: 'save_contact',
+            value: JSON.stringify({ phone: contact.phone.replace(/\D/g, ''), name: contact.name || undefined }),
+          };
+        }
+        blocks.push(section);
+      }
+      if (contacts.length === 0 && body.vcard?.url) {
+        blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `📇 <${body.vcard.url}|${STRINGS.downloadFile}>` } });
+      }
+      slackMessage = {
+        ...baseMessage,
+        text: [STRINGS.customerContact, ...contacts.map(c => formatContact(whatsAppToSlack(c.name || 'Unknown'), c.phone))].join(' '),
+        blocks,
+      };
+      break;
+    }
+
+    case 'sticker': {
+      const sticker = body.sticker || {};
+      if (!sticker.url) {
+        slackMessage = { ...baseMessage, text: unsupported };
+        break;
+      }
+      slackMessage = {
+        ...baseMessage,
+        text: STRINGS.customerSticker,
+        blocks: [
+          { type: 'context', elements: [{ type: 'mrkdwn', text: STRINGS.customerSticker }] },
+          { type: 'image', image_url: sticker.url, alt_text: 'sticker' },
+        ],
+      };
+      break;
+    }
+
+    case 'text':
+      slackMessage = {
+        ...baseMessage,
+        text: whatsAppToSlack(body.text)
+      };
+      break;
+
+    default: {
+      // Unknown type: show something rather than an empty message
+      const media = body[messageType];
+      const extra = whatsAppToSlack(body.text || media?.caption || '');
+      slackMessage = {
+        ...baseMessage,
+        text: `${unsupported}${extra ? `\n${extra}` : ''}${media?.url ? `\n${media.url}` : ''}`,
+      };
     }
   }
 
-  blocks.push({
-    type: 'actions',
-    elements: [
+  // Text messages without text (or any message we couldn't render) still need a visible post
+  if (!slackMessage.text) {
+    slackMessage.text = unsupported;
+  }
+
+  return slackMessage;
+}
+
+// Inbound message types whose media is uploaded into Slack
+const REHOSTED_MEDIA_TYPES = ['image', 'video', 'audio', 'file', 'document', 'sticker'];
+
+/**
+ * Download inbound media and upload it into the ticket thread as a Slack file.
+ * Returns the Slack file ID, or null if the media is too large or the upload fails.
+ */
+async function rehostInboundMedia(session, customerName, messageType, media) {
+  const maxBytes = INBOUND_MEDIA_MAX_MB * 1024 * 1024;
+
+  try {
+    const knownSize = Number(media.size) || await getRemoteFileSize(media.url);
+    if (knownSize && knownSize > maxBytes) {
+      console.warn(`⚠️ ${messageType} is ${formatFileSize(knownSize)}, linking instead of uploading`);
+      return null;
+    }
+
+    const response = await axios.get(media.url, {
+      responseType: 'arraybuffer',
+      maxContentLength: maxBytes,
+      timeout: 60000,
+    });
+    const content = Buffer.from(response.data);
+    const filename = getMediaFilename(media, messageType, response.headers?.['content-type']);
+
+    const caption = media.caption && media.caption !== media.name ? `\n"${whatsAppToSlack(media.caption)}"` : '';
+    const comment = STRINGS.customerMediaUpload
+      .replace('{name}', `${FSI}${customerName}${PDI}`)
+      .replace('{kind}', STRINGS.mediaKinds[messageType]) + caption;
+
+    return await uploadFileToSlack({
+      channelId: SLACK_CHANNEL_ID,
+      threadTs: session.thread_ts,
+      filename,
+      title: media.name || filename,
+      content,
+      comment,
+    });
+  } catch (error) {
+    console.error(`❌ Error re-hosting ${messageType}, linking instead:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Pick a filename for inbound media: its own name, the URL's last path segment,
+ * or the message type with an extension from the content type
+ */
+function getMediaFilename(media, messageType, contentType) {
+  if (media.name) return media.name;
+
+  try {
+    const segment = decodeURIComponent(new URL(media.url).pathname.split('/').pop() || '');
+    if (/\.[a-z0-9]{2,5}$/i.test(segment)) return segment;
+  } catch (error) {
+    // Not a parseable URL, fall through
+  }
+
+  const subtype = (contentType || '').split(';')[0].split('/')[1];
+  const extension = subtype ? `.${subtype.replace(/^x-/, '').replace('jpeg', 'jpg')}` : '';
+  return `${messageType}-${Date.now()}${extension}`;
+}
+
+/**
+ * Format a byte count for display (e.g. "1.4 MB")
+ */
+function formatFileSize(bytes) {
+  const size = Number(bytes);
+  if (!Number.isFinite(size) || size <= 0) return '';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = size;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+/**
+ * Ask the media host for a file's size (null if unknown)
+ */
+async function getRemoteFileSize(url) {
+  if (!url) return null;
+  try {
+    const response = await axios.head(url, { timeout: 5000 });
+    return Number(response.headers['content-length']) || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parse the FN/N and TEL fields from vCard text
+ * Returns an array of { name, phone }
+ */
+function parseVCard(text) {
+  const contacts = [];
+  const cards = String(text || '').split(/BEGIN:VCARD/i).slice(1);
+
+  for (const card of cards) {
+    // Unfold continuation lines
+    const lines = card.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    let name = '';
+    let phone = '';
+    for (const line of lines) {
+      const [rawKey, ...rest] = line.split(':');
+      const key = rawKey.split(';')[0].toUpperCase();
+      const value = rest.join(':').trim();
+      if (key === 'FN' && value) name = value;
+      if (key === 'N' && !name && value) name = value.split(';').filter(Boolean).reverse().join(' ');
+      if (key === 'TEL' && !phone && value) phone = value;
+    }
+    if (name || phone) contacts.push({ name, phone });
+  }
+
+  return contacts;
+}
+
+/**
+ * Get the contacts shared in an inbound contact/vCard message.
+ * Accepts structured contacts, inline vCard text, or a vCard URL to download.
+ */
+async function extractSharedContacts(body) {
+  const structured = body.contacts || body.contact;
+  if (structured) {
+    const list = Array.isArray(structured) ? structured : [structured];
+    return list.map(contact => ({
+      name: typeof contact.name === 'string'
+        ? contact.name
+        : contact.name?.formatted_name || contact.name?.first_name || '',
+      phone: contact.phones?.[0]?.phone || contact.phones?.[0]?.wa_id || contact.phone || '',
+    }));
+  }
+
+  const vcard = body.vcard || {};
+  if (vcard.content || typeof vcard === 'string') {
+    return parseVCard(vcard.content || vcard);
+  }
+  if (vcard.url) {
+    try {
+      const response = await axios.get(vcard.url, { responseType: 'text', timeout: 10000 });
+      return parseVCard(response.data);
+    } catch (error) {
+      console.error('❌ Error downloading vCard:', error.message);
+    }
+  }
+  return [];
+}
+
+/**
+ * Extract parameters from AI Studio history into a key-value object
+ */
+function extractParameters(parameters = []) {
+  const result = {};
+  if (!parameters || !parameters.length) return result;
+
+  for (const param of parameters) {
+    if (param.name && param.value) {
+      result[param.name] = param.value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Build the ticket header (text + blocks) for a session.
+ * Used when the ticket is created and whenever its ownership changes.
+ */
+function buildTicketMessage(session) {
+  const intentType = STRINGS.intentTypes[session.intent] || session.intent || '';
+  const schoolType = STRINGS.schoolTypes[session.school] || session.school || '';
+  const assigneeIds = session.assignee_ids || [];
+
+  let messageText = `${STRINGS.newRequest}\n\n`;
+  messageText += `👤 *${formatContact(session.profile_name, session.phone)}*`;
+  if (session.is_saved_contact) messageText += ` _(saved contact)_`;
+  messageText += `\n`;
+  if (intentType) messageText += `${intentType}`;
+  if (intentType && schoolType) messageText += ` • `;
+  if (schoolType) messageText += `${schoolType}`;
+  if (intentType || schoolType) messageText += `\n`;
+  if (session.after_hours) messageText += `\n${STRINGS.afterHoursTag}\n`;
+  if (assigneeIds.length > 0) {
+    const mentions = assigneeIds.map(formatMention).join(', ');
+    messageText += `\n${STRINGS.assignedTo} ${mentions}\n`;
+  }
+  if (session.owner_id) messageText += `\n${STRINGS.ownerLabel} <@${session.owner_id}>\n`;
+  if (session.previous_ticket_count > 0) {
+    messageText += `\n${STRINGS.previousTickets.replace('{count}', session.previous_ticket_count)}\n`;
+    for (const previous of session.previous_tickets || []) {
+      messageText += `• ${formatTicketSummary(previous)}\n`;
+    }
+  }
+  messageText += `\n${STRINGS.replyInThread}`;
+
+  // Build blocks with action buttons
+  const actionElements = [];
+
+  if (session.owner_id) {
+    actionElements.push(
       {
         type: 'button',
-        text: { type: 'plain_text', text: STRINGS.homeAddRoleButton },
-        action_id: 'add_role',
+        text: { type: 'plain_text', text: STRINGS.unclaimButton },
+        action_id: 'unclaim_ticket',
       },
-    ],
+      {
+        type: 'users_select',
+        action_id: 'reassign_ticket',
+        placeholder: { type: 'plain_text', text: STRINGS.reassignPlaceholder },
+      },
+    );
+  } else {
+    actionElements.push({
+      type: 'button',
+      text: { type: 'plain_text', text: STRINGS.claimButton },
+      style: 'primary',
+      action_id: 'claim_ticket',
+    });
+  }
+
+  actionElements.push({
+    type: 'button',
+    text: { type: 'plain_text', text: STRINGS.closeButton },
+    style: 'danger',
+    action_id: 'close_ticket',
+    confirm: {
+      title: { type: 'plain_text', text: STRINGS.closeConfirmTitle },
+      text: { type: 'mrkdwn', text: STRINGS.closeConfirmText },
+      confirm: { type: 'plain_text', text: STRINGS.closeConfirmYes },
+      deny: { type: 'plain_text', text: STRINGS.closeConfirmNo },
+    },
   });
 
-  blocks.push({ type: 'divider' });
+  if (session.phone && !session.is_saved_contact) {
+    actionElements.push({
+      type: 'button',
+      text: { type: 'plain_text', text: STRINGS.saveContactButton },
+      action_id: 'save_contact',
+      value: JSON.stringify({ phone: session.phone, name: session.profile_name }),
+    });
+  }
 
-  // --- Contacts Section ---
-  blocks.push(
-    { type: 'header', text: { type: 'plain_text', text: STRINGS.homeContactsHeader } },
-  );
+  if (session.previous_ticket_count > 0) {
+    actionElements.push({
+      type: 'button',
+      text: { type: 'plain_text', text: STRINGS.historyButton },
+      action_id: 'customer_history',
+      value: session.phone,
+    });
+  }
 
-  if (contacts.length === 0) {
-    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: STRINGS.homeNoContacts } });
-  } else {
-    for (const contact of contacts) {
-      const roleTags = contact.roles.length > 0
-        ? contact.roles.map(r => `\`${r}\``).join(' ')
-        : '_no roles_';
-      blocks.push({
-        type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: `*${formatContact(contact.name, contact.phone)}*\n${roleTags}`,
-        },
-        accessory: {
-          type: 'button',
-          text: { type: 'plain_text', text: STRINGS.homeEditRolesButton },
-          action_id: 'edit_contact_roles',
-          value: contact.phone,
+  actionElements.push({
+    type: 'button',
+    text: { type: 'plain_text', text: STRINGS.cannedButton },
+    action_id: 'send_canned_reply',
+  });
+
+  actionElements.push({
+    type: 'static_select',
+    action_id: 'export_transcript',
+    placeholder: { type: 'plain_text', text: STRINGS.exportTranscriptPlaceholder },
+    options: Object.entries(STRINGS.transcriptExportFormats).map(([value, label]) => ({
+      text: { type: 'plain_text', text: label },
+      value,
+    })),
+  });
+
+  const blocks = [
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: messageText },
+    },
+    {
+      type: 'actions',
+      elements: actionElements,
+    },
+  ];
+
+  return { text: messageText, blocks };
+}
+
+/**
+ * Post a message in a thread that only the given user can see
+ */
+async function postEphemeral(channelId, userId, threadTs, text) {
+  try {
+    await axios.post(
+      'https://slack.com/api/chat.postEphemeral',
+      { channel: channelId, user: userId, text, ...(threadTs && { thread_ts: threadTs }) },
+      { headers: { 'Authorization': `Bearer ${SLACK_BOT_TOKEN}`, 'Content-Type': 'application/json' } }
+    );
+  } catch (error) {
+    console.error('❌ Error posting ephemeral message:', error.message);
+  }
+}
+
+// Keep each transcript message well under Slack's text limits
+const TRANSCRIPT_CHUNK_SIZE = 3000;
+
+/**
+ * Extract the bot/user turns from AI Studio history
+ *
+ * AI Studio sends `history.transcription` as a list of `{ bot: '...' }` /
+ * `{ user: '...' }` entries; `{ type|role|from, text|message }` entries are
+ * accepted as well.
+ * Returns an array of { speaker: 'bot' | 'user', text }
+ */
+function extractTranscript(history) {
+  const entries = history?.transcription || history?.transcript || history?.messages || [];
+  if (!Array.isArray(entries)) return [];
+
+  const turns = [];
+  for (const entry of entries) {
+    if (!entry) continue;
+    let speaker;
+    let text;
+    if (typeof entry.bot === 'string') {
+      speaker = 'bot';
+      text = entry.bot;
+    } else if (typeof entry.user === 'string') {
+      speaker = 'user';
+      text = entry.user;
+    } else {
+      const from = String(entry.type || entry.role || entry.from || '').toLowerCase();
+      speaker = ['bot', 'agent', 'assistant', 'virtual_agent'].includes(from) ? 'bot' : 'user';
+      text = entry.text ?? entry.message;
+    }
+    if (typeof text === 'string' && text.trim()) {
+      turns.push({ speaker, text: text.trim() });
+    }
+  }
+  return turns;
+}
+
+/**
+ * Render transcript turns as Slack text, split into chunks that fit Slack limits.
+ * Each line is wrapped in a directional isolate so RTL and LTR turns display correctly.
+ */
+function formatTranscript(turns, customerName) {
+  const userLabel = STRINGS.transcriptUser.replace('{name}', `${FSI}${customerName}${PDI}`);
+  const lines = [];
+
+  for (const turn of turns) {
+    const label = turn.speaker === 'bot' ? STRINGS.transcriptBot : userLabel;
+    // Customers typed this, so it mustn't become mentions or links in Slack
+    const body = whatsAppToSlack(turn.text)
+      .split('\n')
+      .map(line => `${FSI}${line}${PDI}`)
+      .join('\n');
+    lines.push(`${label} ${body}`);
+  }
+
+  const chunks = [];
+  let current = '';
+  for (let line of lines) {
+    // Hard-split a single turn that is longer than a whole chunk
+    while (line.length > TRANSCRIPT_CHUNK_SIZE) {
+      if (current) {
+        chunks.push(current);
+        current = '';
+      }
+      chunks.push(line.slice(0, TRANSCRIPT_CHUNK_SIZE));
+      line = line.slice(TRANSCRIPT_CHUNK_SIZE);
+    }
+    if (current && current.length + line.length + 1 > TRANSCRIPT_CHUNK_SIZE) {
+      chunks.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n${line}` : line;
+  }
+  if (current) chunks.push(current);
+
+  return chunks;
+}
+
+/**
+ * Post the AI Studio transcript into a ticket thread, one message per chunk
+ */
+async function postTranscript(threadTs, history, customerName) {
+  try {
+    const turns = extractTranscript(history);
+    const chunks = formatTranscript(turns, customerName);
+
+    if (chunks.length === 0) {
+      chunks.push(STRINGS.noMessages);
+    }
+
+    for (let i = 0; i < chunks.length; i++) {
+      const header = chunks.length > 1
+        ? STRINGS.transcriptHeaderPart.replace('{part}', i + 1).replace('{total}', chunks.length)
+        : STRINGS.transcriptHeader;
+
+      await axios.post(
+        'https://slack.com/api/chat.postMessage',
+        {
+          channel: SLACK_CHANNEL_ID,
+          thread_ts: threadTs,
+          text: `${header}\n\n${chunks[i]}`,
         },
-      });
+        { headers: { 'Authorization': `Bearer ${SLACK_BOT_TOKEN}`, 'Content-Type': 'application/json' } }
+      );
     }
+
+    console.log(`📜 Transcript posted to thread ${threadTs} (${turns.length} turns, ${chunks.length} messages)`);
+  } catch (error) {
+    console.error('❌ Error posting transcript:', error.message);
+  }
+}
+
+// ============================================
+// Contacts & Roles Management
+// ============================================
+
+/**
+ * Get all saved contacts from Redis
+ */
+async function getAllContacts() {
+  const keys = await redis.keys('contact:*');
+  const contacts = [];
+  for (const key of keys) {
+    const data = await redis.get(key);
+    if (data) {
+      const contact = JSON.parse(data);
+      if (!contact.roles) contact.roles = [];
+      contacts.push(contact);
+    }
+  }
+  contacts.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+  return contacts;
+}
+
+/**
+ * Get all available roles from Redis
+ */
+async function getAllRoles() {
+  const roles = await redis.sMembers('roles');
+  return roles.sort();
+}
+
+/**
+ * Publish the App Home tab for a given user
+ */
+async function publishHomeTab(userId) {
+  const roles = await getAllRoles();
+  const contacts = await getAllContacts();
+
+  const blocks = [];
+
+  // --- Availability Section ---
+  blocks.push(
+    { type: 'header', text: { type: 'plain_text', text: STRINGS.homeAvailabilityHeader } },
+  );
+
+  const { label, untilText } = formatAvailability(await getAvailability(userId));
+  blocks.push({
+    type: 'section',
+    text: { type: 'mrkdwn', text: STRINGS.homeYourStatus.replace('{status}', label).replace('{until}', untilText) },
+  });
+  blocks.push({
+    type: 'actions',
+    elements: AVAILABILITY_STATUSES.map(status => ({
+      type: 'button',
+      text: { type: 'plain_text', text: STRINGS.availabilityStatuses[status] },
+      action_id: `set_availability_${status}`,
+      value: status,
+    })),
+  });
+
+  const onShift = await filterAvailable(await getKnownAgents());
+  blocks.push({
+    type: 'context',
+    elements: [{
+      type: 'mrkdwn',
+      text: onShift.length > 0
+        ? STRINGS.homeOnShiftNow.replace('{users}', onShift.map(id => `<@${id}>`).join(', '))
+        : STRINGS.homeNobodyOnShift,
+    }],
+  });
+
+  blocks.push({ type: 'divider' });
+
+  // --- Saved Replies Section ---
+  blocks.push(
+    { type: 'header', text: { type: 'plain_text', text: STRINGS.homeCannedHeader } },
+  );
+
+  const cannedReplies = await getAllCannedReplies();
+  if (cannedReplies.length === 0) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: STRINGS.homeNoCanned } });
+  }
+  for (const reply of cannedReplies) {
+    const preview = reply.body.length > 150 ? `${reply.body.slice(0, 150)}…` : reply.body;
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: `*${reply.name}*${reply.media ? ' 📎' : ''}\n${preview}` },
+    });
+    blocks.push({
+      type: 'actions',
+      elements: [
+        {
+          type: 'button',
+          text: { type: 'plain_text', text: STRINGS.homeEditCannedButton },
+          action_id: 'edit_canned_reply',
+          value: reply.id,
+        },
+        {
+          type: 'button',
+          text: { type: 'plain_text', text: STRINGS.homeDeleteCannedButton },
+          style: 'danger',
+          action_id: 'delete_canned_reply',
+          value: reply.id,
+          confirm: {
+            title: { type: 'plain_text', text: STRINGS.homeDeleteCannedConfirmTitle },
+            text: { type: 'mrkdwn', text: STRINGS.homeDeleteCannedConfirmText },
+            confirm: { type: 'plain_text', text: STRINGS.homeDeleteCannedButton },
+            deny: { type: 'plain_text', text: 'Cancel' },
+          },
+        },
+      ],
+    });
+  }
+
+  blocks.push({
+    type: 'actions',
+    elements: [
+      {
+        type: 'button',
+        text: { type: 'plain_text', text: STRINGS.homeAddCannedButton },
+        action_id: 'add_canned_reply',
+      },
+    ],
+  });
+
+  blocks.push({ type: 'divider' });
+
+  // --- Roles Section ---
+  blocks.push(
+    { type: 'header', text: { type: 'plain_text', text: STRINGS.homeRolesHeader } },
+  );
+
+  if (roles.length === 0) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: STRINGS.homeNoRoles } });
+  } else {
+    for (const role of roles) {
+      blocks.push({
+        type: 'section',
+        text: { type: 'mrkdwn', text: `\`${role}\`` },
+        accessory: {
+          type: 'button',
+          text: { type: 'plain_text', text: 'Remove' },
+          style: 'danger',
+          action_id: 'remove_role',
+          value: role,
+          confirm: {
+            title: { type: 'plain_text', text: STRINGS.homeRemoveRoleConfirmTitle },
+            text: { type: 'mrkdwn', text: STRINGS.homeRemoveRoleConfirmText },
+            confirm: { type: 'plain_text', text: 'Remove' },
+            deny: { type: 'plain_text', text: 'Cancel' },
+          },
+        },
+      });
+    }
+  }
+
+  blocks.push({
+    type: 'actions',
+    elements: [
+      {
+        type: 'button',
+        text: { type: 'plain_text', text: STRINGS.homeAddRoleButton },
+        action_id: 'add_role',
+      },
+    ],
+  });
+
+  blocks.push({ type: 'divider' });
+
+  // --- Contacts Section ---
+  blocks.push(
+    { type: 'header', text: { type: 'plain_text', text: STRINGS.homeContactsHeader } },
+  );
+
+  if (contacts.length === 0) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: STRINGS.homeNoContacts } });
+  } else {
+    for (const contact of contacts) {
+      const roleTags = contact.roles.length > 0
+        ? contact.roles.map(r => `\`${r}\``).join(' ')
+        : '_no roles_';
+      blocks.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*${formatContact(contact.name, contact.phone)}*\n${roleTags}`,
+        },
+        accessory: {
+          type: 'button',
+          text: { type: 'plain_text', text: STRINGS.homeEditRolesButton },
+          action_id: 'edit_contact_roles',
+          value: contact.phone,
+        },
+      });
+    }
+  }
+
+  // Slack limits blocks to 100 per view — truncate if needed
+  const maxBlocks = 100;
+  const viewBlocks = blocks.slice(0, maxBlocks);
+
+  await axios.post(
+    'https://slack.com/api/views.publish',
+    {
+      user_id: userId,
+      view: {
+        type: 'home',
+        blocks: viewBlocks,
+      },
+    },
+    {
+      headers: {
+        'Authorization': `Bearer ${SLACK_BOT_TOKEN}`,
+        'Content-Type': 'application/json',
+      },
+    }
+  );
+}
+
+// ============================================
+// Redis Assignment Management
+// ============================================
+
+const ASSIGNMENT_STRATEGIES = ['all', 'round-robin', 'least-open-tickets'];
+const ASSIGNMENT_RESOLUTION_ORDER = '`<school>:<intent>` → `<school>:*` → `*:<intent>` → `default`';
+
+/**
+ * Get all assignments from Redis
+ */
+async function getAllAssignments() {
+  const keys = await redis.keys('assign:*');
+  const assignments = {};
+
+  for (const key of keys) {
+    const userIds = await redis.sMembers(key);
+    if (userIds.length > 0) {
+      const shortKey = key.replace('assign:', '');
+      assignments[shortKey] = userIds;
+    }
+  }
+
+  return assignments;
+}
+
+/**
+ * Parse `<school> <intent>` (either may be `*`) or `default` from command words
+ * Returns the bucket key without the `assign:` prefix, or null
+ */
+function parseAssignmentBucket(words) {
+  const first = words[0]?.toLowerCase();
+  if (first === 'default') return 'default';
+
+  const second = words[1]?.toLowerCase();
+  if (!first || !second || first.startsWith('<@') || second.startsWith('<@')) return null;
+  if (first === '*' && second === '*') return 'default';
+  return `${first}:${second}`;
+}
+
+/**
+ * List the buckets to try for a school/intent combination, most specific first:
+ * `<school>:<intent>` → `<school>:*` → `*:<intent>` → `default`
+ */
+function getAssignmentBuckets(school, intent) {
+  const buckets = [];
+  if (school && intent) buckets.push(`${school}:${intent}`);
+  if (school) buckets.push(`${school}:*`);
+  if (intent) buckets.push(`*:${intent}`);
+  buckets.push('default');
+  return buckets;
+}
+
+/**
+ * Human-readable label for an assignment or ladder bucket
+ */
+function formatBucketLabel(bucket) {
+  if (bucket === 'default') return 'Default';
+  const [school, intent] = bucket.split(':');
+  const schoolLabel = school === '*' ? 'any school' : STRINGS.schoolTypes[school] || school;
+  const intentLabel = intent === '*' ? 'any intent' : STRINGS.intentTypes[intent] || intent;
+  return `${schoolLabel} + ${intentLabel}`;
+}
+
+/**
+ * Rank a bucket key by how specific it is (higher = more specific)
+ */
+function getBucketSpecificity(bucket) {
+  if (bucket === 'default') return 0;
+  const [school, intent] = bucket.split(':');
+  if (school !== '*' && intent !== '*') return 3;
+  return school !== '*' ? 2 : 1;
+}
+
+/**
+ * Resolve who should handle a school/intent combination right now.
+ * Buckets are tried from most to least specific, skipping unavailable agents;
+ * if nobody in any matching bucket is available, the fallback group
+ * (configured with `/oncall fallback`) is used instead.
+ * Returns { userIds, bucket, isFallback }
+ */
+async function resolveAssignees(school, intent) {
+  let anyMembers = false;
+
+  for (const bucket of getAssignmentBuckets(school, intent)) {
+    const members = await redis.sMembers(`assign:${bucket}`);
+    if (members.length === 0) continue;
+    anyMembers = true;
+
+    const available = await filterAvailable(members);
+    if (available.length > 0) return { userIds: available, bucket, isFallback: false };
+  }
+
+  if (!anyMembers) return { userIds: [], bucket: null, isFallback: false };
+
+  const fallback = await getFallbackAssignees();
+  console.log(`🟡 Nobody available for ${school}:${intent}, falling back to ${fallback.join(', ') || 'nobody'}`);
+  return { userIds: fallback, bucket: null, isFallback: true };
+}
+
+/**
+ * Get assignees for a school/intent combination
+ * Returns an array of user IDs (or `!channel` / `!here` for a channel-wide fallback)
+ */
+async function getAssignees(school, intent) {
+  const { userIds } = await resolveAssignees(school, intent);
+  return userIds;
+}
+
+/**
+ * Get the selection strategy for an assignment bucket (`<school>:<intent>` or `default`)
+ */
+async function getAssignmentStrategy(bucket) {
+  return (await redis.get(`strategy:${bucket}`)) || 'all';
+}
+
+/**
+ * Count open tickets owned by each of the given agents
+ * Returns { userId: count }
+ */
+async function getAgentLoads(userIds) {
+  const loads = {};
+  for (const userId of userIds) {
+    loads[userId] = await redis.sCard(`agent_tickets:${userId}`);
+  }
+  return loads;
+}
+
+/**
+ * Decide who a new ticket goes to, according to the bucket's strategy.
+ *
+ * - all: everyone in the bucket is mentioned, nobody owns the ticket
+ * - round-robin: the next agent in the rotation owns the ticket
+ * - least-open-tickets: the agent owning the fewest open tickets owns it
+ *   (ties are broken by the rotation)
+ *
+ * The rotation counter lives in Redis, so it is fair across restarts and instances.
+ * Returns { assigneeIds, ownerId }
+ */
+async function chooseAssignees(school, intent) {
+  const { userIds, bucket, isFallback } = await resolveAssignees(school, intent);
+  if (isFallback) return { assigneeIds: userIds, ownerId: null };
+
+  const candidates = [...userIds].sort();
+  if (candidates.length === 0) return { assigneeIds: [], ownerId: null };
+
+  const strategy = await getAssignmentStrategy(bucket);
+  if (strategy === 'all') return { assigneeIds: candidates, ownerId: null };
+
+  let pool = candidates;
+  if (strategy === 'least-open-tickets') {
+    const loads = await getAgentLoads(candidates);
+    const minLoad = Math.min(...candidates.map(id => loads[id] || 0));
+    pool = candidates.filter(id => (loads[id] || 0) === minLoad);
+  }
+
+  const turn = await redis.incr(`rotation:${bucket}`);
+  const ownerId = pool[(turn - 1) % pool.length];
+  console.log(`🎯 ${strategy} picked ${ownerId} for ${bucket}`);
+  return { assigneeIds: [ownerId], ownerId };
+}
+
+/**
+ * Resolve @mentions and plain @usernames to Slack user IDs
+ */
+async function resolveUsers(text) {
+  const userIds = [];
+
+  // Find all formatted mentions: <@U123456> or <@U123456|display name>
+  const formattedMatches = text.matchAll(/<@([A-Z0-9]+)(\|[^>]+)?>/gi);
+  for (const match of formattedMatches) {
+    userIds.push(match[1]);
+  }
+
+  if (userIds.length > 0) return userIds;
+
+  // Fall back to plain @username mentions
+  const plainMatches = text.matchAll(/@(\S+)/g);
+  const usernames = [];
+  for (const match of plainMatches) {
+    usernames.push(match[1]);
+  }
+
+  if (usernames.length === 0) return [];
+
+  // Look up users via Slack API
+  try {
+    const lookupResponse = await axios.get(
+      `https://slack.com/api/users.list`,
+      { headers: { 'Authorization': `Bearer ${SLACK_BOT_TOKEN}` } }
+    );
+
+    if (!lookupResponse.data.ok) {
+      throw new Error(lookupResponse.data.error);
+    }
+
+    for (const username of usernames) {
+      const user = lookupResponse.data.members.find(
+        m => m.name === username ||
+             m.profile?.display_name?.toLowerCase() === username.toLowerCase() ||
+             m.real_name?.toLowerCase() === username.toLowerCase()
+      );
+      if (user) {
+        userIds.push(user.id);
+      }
+    }
+  } catch (err) {
+    console.error('❌ Error looking up users:', err.message);
+  }
+
+  return userIds;
+}
+
+// ============================================
+// Business Hours
+// ============================================
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const AFTER_HOURS_QUEUE_KEY = 'afterhours:queue';
+// Held while one agent's summary is being sent, so no one else gets the same tickets
+const AFTER_HOURS_SUMMARY_LOCK_KEY = 'afterhours:summary_lock';
+const AFTER_HOURS_SUMMARY_LOCK_MS = 60 * 1000;
+
+/**
+ * Get the business hours configuration from Redis.
+ * Business-hours mode is off until enabled with `/hours on`.
+ */
+async function getBusinessHours() {
+  const data = await redis.get('business_hours');
+  const config = data ? JSON.parse(data) : {};
+  return {
+    enabled: false,
+    timezone: 'UTC',
+    schedule: {},
+    holidays: [],
+    message: STRINGS.outOfOfficeMessage,
+    ...config,
+  };
+}
+
+/**
+ * Save the business hours configuration to Redis
+ */
+async function saveBusinessHours(config) {
+  await redis.set('business_hours', JSON.stringify(config));
+}
+
+/**
+ * Check whether a string is a timezone the runtime understands
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Parse a day spec (`mon`, `sun-thu`, `mon,wed`, `all`) into weekday keys
+ */
+function parseDaySpec(spec) {
+  if (!spec) return [];
+  spec = spec.toLowerCase();
+  if (spec === 'all') return [...WEEKDAYS];
+
+  const days = [];
+  for (const piece of spec.split(',')) {
+    const [from, to] = piece.split('-');
+    const start = WEEKDAYS.indexOf(from);
+    const end = to ? WEEKDAYS.indexOf(to) : start;
+    if (start === -1 || end === -1) return [];
+    for (let i = start; ; i = (i + 1) % 7) {
+      if (!days.includes(WEEKDAYS[i])) days.push(WEEKDAYS[i]);
+      if (i === end) break;
+    }
+  }
+  return days;
+}
+
+/**
+ * Parse `HH:MM-HH:MM` into { start, end }, or null if invalid
+ */
+function parseTimeRange(range) {
+  const match = /^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/.exec(range || '');
+  if (!match || Number(match[2]) > 59 || Number(match[4]) > 59) return null;
+  const start = Number(match[1]) * 60 + Number(match[2]);
+  const end = Number(match[3]) * 60 + Number(match[4]);
+  if (start >= end || end > 24 * 60) return null;
+  return { start: range.split('-')[0].padStart(5, '0'), end: range.split('-')[1].padStart(5, '0') };
+}
+
+/**
+ * Convert `HH:MM` to minutes after midnight
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Get the weekday, calendar date and minutes after midnight of a moment in a timezone
+ */
+function getZonedTime(date, timezone) {
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'short',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  });
+  for (const part of formatter.formatToParts(date)) {
+    parts[part.type] = part.value;
+  }
+  return {
+    day: parts.weekday.toLowerCase(),
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+/**
+ * Check whether we are open at the given moment (always true when the mode is off)
+ */
+function isWithinBusinessHours(config, date = new Date()) {
+  if (!config.enabled) return true;
+
+  const now = getZonedTime(date, config.timezone);
+  if (config.holidays.includes(now.date)) return false;
+
+  const range = config.schedule[now.day];
+  if (!range) return false;
+
+  return now.minutes >= toMinutes(range.start) && now.minutes < toMinutes(range.end);
+}
+
+/**
+ * Describe when we next open, e.g. "tomorrow at 08:00" or "on Sunday at 08:00".
+ * Returns null if nothing is open in the next two weeks.
+ */
+function describeNextOpening(config, date = new Date()) {
+  for (let offset = 0; offset <= 14; offset++) {
+    const day = new Date(date.getTime() + offset * 24 * 60 * 60 * 1000);
+    const zoned = getZonedTime(day, config.timezone);
+    const range = config.schedule[zoned.day];
+    if (!range || config.holidays.includes(zoned.date)) continue;
+    if (offset === 0 && zoned.minutes >= toMinutes(range.start)) continue;
+
+    if (offset === 0) return `today at ${range.start}`;
+    if (offset === 1) return `tomorrow at ${range.start}`;
+    const weekday = new Intl.DateTimeFormat('en-US', { timeZone: config.timezone, weekday: 'long' }).format(day);
+    return `on ${weekday} at ${range.start}`;
+  }
+  return null;
+}
+
+/**
+ * Render the business hours configuration as Slack mrkdwn
+ */
+function formatBusinessHours(config) {
+  const open = isWithinBusinessHours(config);
+  let text = `🕘 *Business hours* — ${config.enabled ? 'enabled' : 'disabled'}`;
+  if (config.enabled) text += open ? ' (open now)' : ' (closed now)';
+  text += `\n*Timezone:* \`${config.timezone}\`\n\n`;
+
+  for (const day of WEEKDAYS) {
+    const range = config.schedule[day];
+    text += `• \`${day}\` ${range ? `${range.start}–${range.end}` : '_closed_'}\n`;
+  }
+
+  text += `\n*Holidays:* ${config.holidays.length > 0 ? config.holidays.map(d => `\`${d}\``).join(', ') : '_none_'}`;
+  text += `\n*Out-of-office message:*\n> ${config.message}`;
+  return text;
+}
+
+/**
+ * Send the out-of-office message to the customer and note it in the ticket thread
+ */
+async function sendOutOfOfficeMessage(sessionId, threadTs, config) {
+  try {
+    const opens = describeNextOpening(config) || STRINGS.outOfOfficeOpensFallback;
+    const message = config.message.replace('{opens}', opens);
+
+    await axios.post(
+      `${AI_STUDIO_BASE_URL}/live-agent/outbound/${sessionId}`,
+      { message_type: 'text', text: message },
+      { headers: { 'X-Vgai-Key': AI_STUDIO_KEY } }
+    );
+
+    await axios.post(SLACK_WEBHOOK_URL, {
+      thread_ts: threadTs,
+      text: STRINGS.outOfOfficeNotice.replace('{message}', message),
+    });
+
+    await appendTranscript(threadTs, { direction: 'auto', type: 'text', text: message });
+
+    console.log(`🌙 Out-of-office message sent for session ${sessionId}`);
+  } catch (error) {
+    console.error(`❌ Error sending out-of-office message for session ${sessionId}:`, error.message);
+  }
+}
+
+/**
+ * Remember a ticket that arrived after hours for the next agent on shift
+ */
+async function queueAfterHoursTicket(ticket) {
+  await redis.zAdd(AFTER_HOURS_QUEUE_KEY, { score: Date.now(), value: JSON.stringify(ticket) });
+}
+
+/**
+ * DM the after-hours queue to the first agent active during business hours.
+ * A lock makes sure only one agent receives the summary; the tickets leave the
+ * queue only once the DM has been posted.
+ */
+async function sendAfterHoursSummary(userId) {
+  const lockOwner = crypto.randomUUID();
+  let locked = false;
+  try {
+    const config = await getBusinessHours();
+    if (!config.enabled || !isWithinBusinessHours(config)) return;
+    if (await redis.zCard(AFTER_HOURS_QUEUE_KEY) === 0) return;
+
+    locked = await redis.set(AFTER_HOURS_SUMMARY_LOCK_KEY, lockOwner, { NX: true, PX: AFTER_HOURS_SUMMARY_LOCK_MS });
+    if (!locked) return;
+
+    const entries = await redis.zRange(AFTER_HOURS_QUEUE_KEY, 0, -1);
+    if (entries.length === 0) return;
+
+    // Skip tickets that were closed in the meantime
+    const tickets = [];
+    for (const entry of entries) {
+      const ticket = JSON.parse(entry);
+      if (await getSession(ticket.session_id)) tickets.push(ticket);
+    }
+    if (tickets.length === 0) {
+      await redis.zRem(AFTER_HOURS_QUEUE_KEY, entries);
+      return;
+    }
+
+    let text = STRINGS.afterHoursSummaryHeader.replace('{count}', tickets.length) + '\n';
+    for (const ticket of tickets) {
+      const link = `https://slack.com/archives/${SLACK_CHANNEL_ID}/p${ticket.thread_ts.replace('.', '')}`;
+      const labels = [STRINGS.intentTypes[ticket.intent] || ticket.intent, STRINGS.schoolTypes[ticket.school] || ticket.school]
+        .filter(Boolean)
+        .join(' • ');
+      text += `• <${link}|${formatContact(ticket.name, ticket.phone)}>${labels ? ` — ${labels}` : ''}\n`;
+    }
+
+    const response = await axios.post(
+      'https://slack.com/api/chat.postMessage',
+      { channel: userId, text },
+      { headers: { 'Authorization': `Bearer ${SLACK_BOT_TOKEN}`, 'Content-Type': 'application/json' } }
+    );
+    if (!response.data.ok) {
+      throw new Error(`Slack API error: ${response.data.error}`);
+    }
+
+    // Only what was summarised; tickets queued meanwhile wait for the next agent
+    await redis.zRem(AFTER_HOURS_QUEUE_KEY, entries);
+    console.log(`🌅 After-hours summary (${tickets.length} tickets) sent to ${userId}`);
+  } catch (error) {
+    console.error('❌ Error sending after-hours summary:', error.message);
+  } finally {
+    if (locked) await releaseLock(AFTER_HOURS_SUMMARY_LOCK_KEY, lockOwner).catch(() => {});
+  }
+}
+
+// ============================================
+// Agent Availability
+// ============================================
+
+const AVAILABILITY_STATUSES = ['available', 'away', 'off'];
+
+/**
+ * Get an agent's availability. Agents who never set a status (or whose
+ * status expired) are available.
+ * Returns { status, until }
+ */
+async function getAvailability(userId) {
+  const data = await redis.get(`availability:${userId}`);
+  return data ? JSON.parse(data) : { status: 'available', until: null };
+}
+
+/**
+ * Set an agent's availability, optionally reverting to available after `durationMs`
+ */
+async function setAvailability(userId, status, durationMs) {
+  const until = durationMs ? new Date(Date.now() + durationMs).toISOString() : null;
+  const record = JSON.stringify({ status, until, updated_at: new Date().toISOString() });
+
+  if (status === 'available' && !durationMs) {
+    await redis.del(`availability:${userId}`);
+  } else if (durationMs) {
+    await redis.set(`availability:${userId}`, record, { PX: durationMs });
+  } else {
+    await redis.set(`availability:${userId}`, record);
+  }
+
+  console.log(`🟢 ${userId} is now ${status}${until ? ` until ${until}` : ''}`);
+
+  // Coming on shift is when the after-hours queue is handed over
+  if (status === 'available') {
+    await sendAfterHoursSummary(userId);
+  }
+
+  return { status, until };
+}
+
+/**
+ * Keep only the users who are currently available
+ */
+async function filterAvailable(userIds) {
+  const available = [];
+  for (const userId of userIds) {
+    const { status } = await getAvailability(userId);
+    if (status === 'available') available.push(userId);
+  }
+  return available;
+}
+
+/**
+ * Users to notify when nobody in a bucket is available
+ */
+async function getFallbackAssignees() {
+  return redis.sMembers('assign_fallback');
+}
+
+/**
+ * Everyone we know about as an agent: assignment members plus anyone with a status
+ */
+async function getKnownAgents() {
+  const agents = new Set();
+  const assignments = await getAllAssignments();
+  for (const userIds of Object.values(assignments)) {
+    userIds.forEach(id => agents.add(id));
+  }
+  for (const key of await redis.keys('availability:*')) {
+    agents.add(key.replace('availability:', ''));
+  }
+  return [...agents];
+}
+
+/**
+ * Whether a user is a known agent who is currently available
+ */
+async function isAvailableAgent(userId) {
+  if (!(await getKnownAgents()).includes(userId)) return false;
+  const { status } = await getAvailability(userId);
+  return status === 'available';
+}
+
+/**
+ * Parse a duration like `30m`, `2h` or `1d` into milliseconds (null if invalid)
+ */
+function parseDuration(text) {
+  const match = /^(\d+)(m|h|d)$/i.exec(text || '');
+  if (!match) return null;
+  const unit = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[match[2].toLowerCase()];
+  return Number(match[1]) * unit;
+}
+
+/**
+ * Describe an availability record as a status label and an optional "(until ...)" suffix
+ */
+function formatAvailability({ status, until }) {
+  const label = STRINGS.availabilityStatuses[status] || status;
+  const untilText = until ? ` (until <!date^${Math.floor(new Date(until).getTime() / 1000)}^{time}|${until}>)` : '';
+  return { label, untilText };
+}
+
+/**
+ * Format a user ID as a Slack mention (`!channel` / `!here` become channel-wide mentions)
+ */
+function formatMention(id) {
+  return id.startsWith('!') ? `<${id}>` : `<@${id}>`;
+}
+
+// ============================================
+// Auto-Response Ladders
+// ============================================
+
+// Used when neither the ticket type nor the `default` bucket has a ladder
+const DEFAULT_LADDER = {
+  steps: [
+    { delay_minutes: 3, message: STRINGS.busyMessage3Min },
+    { delay_minutes: 10, message: STRINGS.busyMessage10Min },
+  ],
+  ping_assignees: false,
+};
+
+/**
+ * Get a stored ladder by bucket (`<school>:<intent>` or `default`), or null
+ */
+async function getLadderByBucket(bucket) {
+  const data = await redis.get(`ladder:${bucket}`);
+  return data ? JSON.parse(data) : null;
+}
+
+/**
+ * Get the ladder for a school/intent combination.
+ * Falls back to the `default` bucket, then to the built-in ladder.
+ */
+async function getLadder(school, intent) {
+  if (school && intent) {
+    const exact = await getLadderByBucket(`${school}:${intent}`);
+    if (exact && exact.steps.length > 0) return exact;
+  }
+
+  const fallback = await getLadderByBucket('default');
+  if (fallback && fallback.steps.length > 0) return fallback;
+
+  return DEFAULT_LADDER;
+}
+
+/**
+ * Get all stored ladders keyed by bucket
+ */
+async function getAllLadders() {
+  const keys = await redis.keys('ladder:*');
+  const ladders = {};
+
+  for (const key of keys) {
+    const data = await redis.get(key);
+    if (data) {
+      ladders[key.replace('ladder:', '')] = JSON.parse(data);
+    }
+  }
+
+  return ladders;
+}
+
+/**
+ * Render a ladder's steps as Slack mrkdwn
+ */
+function formatLadder(ladder) {
+  if (!ladder.steps.length) return '_No steps_';
+  const lines = ladder.steps.map(step => `• *${step.delay_minutes} min* → ${step.message}`);
+  if (ladder.ping_assignees) lines.push('🔔 _Assignees are mentioned at each step_');
+  return lines.join('\n');
+}
+
+// ============================================
+// Auto-Response Scheduler
+// ============================================
+
+// Redis keys for delayed auto-response jobs
+// autoresponse:due                 - sorted set of job IDs scored by due time (ms)
+// autoresponse:job:<jobId>         - job payload
+// autoresponse:session:<sessionId> - job IDs belonging to a session (for cancellation)
+// autoresponse:sent:<jobId>        - marker written once a job has been sent
+const AUTO_RESPONSE_DUE_KEY = 'autoresponse:due';
+const AUTO_RESPONSE_POLL_INTERVAL_MS = 5 * 1000;
+// How long a claimed job stays hidden from other instances before it is retried
+const AUTO_RESPONSE_LEASE_MS = 60 * 1000;
+const AUTO_RESPONSE_SENT_TTL_SECONDS = 24 * 60 * 60;
+
+// Atomically claim a due job: push its score past the lease so no other
+// instance sees it while this one is sending it. Shared by the outbound queue.
+const CLAIM_DUE_JOB_SCRIPT = `
+local score = redis.call('ZSCORE', KEYS[1], ARGV[1])
+if score and tonumber(score) <= tonumber(ARGV[2]) then
+  redis.call('ZADD', KEYS[1], ARGV[3], ARGV[1])
+  return 1
+end
+return 0
+`;
+
+// Delete a lock only if it is still held by the given owner token
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+/**
+ * Release a lock taken with SET NX, unless it expired and someone else holds it now
+ */
+async function releaseLock(key, owner) {
+  await redis.eval(RELEASE_LOCK_SCRIPT, { keys: [key], arguments: [owner] });
+}
+
+// Extend a lock only if it is still held by the given owner token
+const RENEW_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return 0
+`;
+
+/**
+ * Extend a lock for another `ms`. Returns false if it was lost (expired and taken by
+ * someone else), so the holder should stop.
+ */
+async function renewLock(key, owner, ms) {
+  const renewed = await redis.eval(RENEW_LOCK_SCRIPT, { keys: [key], arguments: [owner, String(ms)] });
+  return renewed === 1;
+}
+
+let autoResponsePolling = false;
+
+/**
+ * Schedule the auto-response ladder for a new ticket, in case no agent replies.
+ * The ladder is chosen by the ticket's school and intent.
+ */
+async function scheduleAutoResponses(sessionId, school, intent) {
+  const ladder = await getLadder(school, intent);
+
+  const now = Date.now();
+  const multi = redis.multi();
+  ladder.steps.forEach((step, index) => {
+    const jobId = `${sessionId}:${index}`;
+    const dueAt = now + step.delay_minutes * 60 * 1000;
+    multi.set(`autoresponse:job:${jobId}`, JSON.stringify({
+      session_id: sessionId,
+      message: step.message,
+      due_at: dueAt,
+      school,
+      intent,
+      ping_assignees: !!ladder.ping_assignees,
+    }));
+    multi.zAdd(AUTO_RESPONSE_DUE_KEY, { score: dueAt, value: jobId });
+    multi.sAdd(`autoresponse:session:${sessionId}`, jobId);
+  });
+  await multi.exec();
+}
+
+/**
+ * Cancel pending auto-responses for a session (on any instance).
+ */
+async function cancelAutoResponses(sessionId) {
+  const jobIds = await redis.sMembers(`autoresponse:session:${sessionId}`);
+  if (jobIds.length === 0) return;
+
+  const multi = redis.multi();
+  multi.zRem(AUTO_RESPONSE_DUE_KEY, jobIds);
+  multi.del(jobIds.map(jobId => `autoresponse:job:${jobId}`));
+  multi.del(`autoresponse:session:${sessionId}`);
+  await multi.exec();
+  console.log(`⏱️ Auto-response timers cancelled for session ${sessionId}`);
+}
+
+/**
+ * Remove a finished (or cancelled) job from the schedule.
+ */
+async function completeAutoResponse(jobId, sessionId) {
+  const multi = redis.multi();
+  multi.zRem(AUTO_RESPONSE_DUE_KEY, jobId);
+  multi.del(`autoresponse:job:${jobId}`);
+  if (sessionId) multi.sRem(`autoresponse:session:${sessionId}`, jobId);
+  await multi.exec();
+}
+
+/**
+ * Send every auto-response that is due. Each job is claimed atomically, so only one
+ * instance sends it, and marked as sent once delivery succeeds. A job that failed to
+ * send, or whose instance died mid-send, reappears once its lease expires.
+ */
+async function processDueAutoResponses() {
+  if (autoResponsePolling) return;
+  autoResponsePolling = true;
+
+  try {
+    const now = Date.now();
+    const dueJobIds = await redis.zRangeByScore(AUTO_RESPONSE_DUE_KEY, 0, now, { LIMIT: { offset: 0, count: 50 } });
+
+    for (const jobId of dueJobIds) {
+      const claimed = await redis.eval(CLAIM_DUE_JOB_SCRIPT, {
+        keys: [AUTO_RESPONSE_DUE_KEY],
+        arguments: [jobId, String(now), String(now + AUTO_RESPONSE_LEASE_MS)],
+      });
+      if (!claimed) continue;
+
+      const data = await redis.get(`autoresponse:job:${jobId}`);
+      if (!data) {
+        // Cancelled between listing and claiming
+        await completeAutoResponse(jobId);
+        continue;
+      }
+      const job = JSON.parse(data);
+
+      // Already sent by an instance that stopped before removing the job
+      if (await redis.exists(`autoresponse:sent:${jobId}`)) {
+        await completeAutoResponse(jobId, job.session_id);
+        continue;
+      }
+
+      const mentionIds = job.ping_assignees ? await getTicketMentions(job.session_id) : [];
+
+      // An agent may have replied (cancelling the job) since it was claimed
+      if (!(await redis.exists(`autoresponse:job:${jobId}`))) {
+        await completeAutoResponse(jobId, job.session_id);
+        continue;
+      }
+
+      // Left claimed on failure, so it is retried when the lease expires
+      if (!(await sendBusyMessage(job.session_id, job.message, mentionIds))) continue;
+
+      await redis.set(`autoresponse:sent:${jobId}`, String(now), { EX: AUTO_RESPONSE_SENT_TTL_SECONDS });
+      await completeAutoResponse(jobId, job.session_id);
+    }
+  } catch (error) {
+    console.error('❌ Error processing auto-responses:', error.message);
+  } finally {
+    autoResponsePolling = false;
+  }
+}
+
+/**
+ * Start polling Redis for due auto-responses. Jobs that came due while the
+ * server was down are picked up on the first poll.
+ */
+async function startAutoResponseScheduler() {
+  const pending = await redis.zCard(AUTO_RESPONSE_DUE_KEY);
+  if (pending > 0) {
+    console.log(`⏱️ Recovered ${pending} pending auto-response(s)`);
+  }
+
+  setInterval(processDueAutoResponses, AUTO_RESPONSE_POLL_INTERVAL_MS);
+  await processDueAutoResponses();
+}
+
+/**
+ * Users to mention about a ticket: its owner, or else everyone it was assigned to
+ */
+async function getTicketMentions(sessionId) {
+  const session = await getSession(sessionId);
+  if (!session) return [];
+  if (session.owner_id) return [session.owner_id];
+  return session.assignee_ids || [];
+}
+
+/**
+ * Send a busy/delay message to the WhatsApp customer and notify the Slack thread,
+ * optionally mentioning the given users. Returns false if the WhatsApp message
+ * couldn't be sent.
+ */
+async function sendBusyMessage(sessionId, message, mentionIds = []) {
+  const session = await getSession(sessionId);
+  if (!session) return true;
+
+  // Send to WhatsApp customer
+  try {
+    await axios.post(
+      `${AI_STUDIO_BASE_URL}/live-agent/outbound/${session.session_id}`,
+      { message_type: 'text', text: message },
+      { headers: { 'X-Vgai-Key': AI_STUDIO_KEY } }
+    );
+  } catch (error) {
+    console.error(`❌ Error sending auto-response for session ${sessionId}:`, error.message);
+    return false;
+  }
+  await appendTranscript(session.thread_ts, { direction: 'auto', type: 'text', text: message });
+
+  try {
+    // Notify in Slack thread
+    let notice = STRINGS.busyNotice.replace('{message}', message);
+    if (mentionIds.length > 0) {
+      const mentions = mentionIds.map(formatMention).join(', ');
+      notice += `\n${STRINGS.busyNoticeAssignees.replace('{mentions}', mentions)}`;
+    }
+    await axios.post(SLACK_WEBHOOK_URL, {
+      thread_ts: session.thread_ts,
+      text: notice,
+    });
+
+    console.log(`⏱️ Auto-response sent for session ${sessionId}: "${message}"`);
+  } catch (error) {
+    console.error(`❌ Error posting auto-response notice for session ${sessionId}:`, error.message);
+  }
+  return true;
+}
+
+// ============================================
+// Outbound Delivery Queue
+// ============================================
+
+// Redis keys for agent messages on their way to WhatsApp
+// outbound:due         - sorted set of job IDs scored by next attempt time (ms)
+// outbound:job:<jobId> - job payload (kept for a while after it fails, for the Retry button)
+// outbound:sending:<jobId>      - set while an attempt to send the job is in progress
+// outbound:message_status:<ts>   - hash of job ID → status for every job sent from one Slack message
+// outbound:message_reaction:<ts> - the status shown on that message and the reaction showing it
+const OUTBOUND_DUE_KEY = 'outbound:due';
+const OUTBOUND_POLL_INTERVAL_MS = 2 * 1000;
+const OUTBOUND_LEASE_MS = 60 * 1000;
+const OUTBOUND_MAX_ATTEMPTS = 5;
+// Retries wait 5s, 10s, 20s, ... up to 5 minutes
+const OUTBOUND_RETRY_BASE_MS = 5 * 1000;
+const OUTBOUND_RETRY_MAX_MS = 5 * 60 * 1000;
+const OUTBOUND_FAILED_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Reactions that mark an agent's message as it goes through the queue
+const OUTBOUND_STATUS_REACTIONS = {
+  pending: 'hourglass_flowing_sand',
+  sent: 'white_check_mark',
+  failed: 'x',
+};
+
+// Replace a queued job's text, unless an attempt to send it is already in progress.
+// Returns the job's status, or nil if it couldn't be edited.
+const EDIT_QUEUED_JOB_SCRIPT = `
+if redis.call('EXISTS', KEYS[2]) == 1 then return false end
+local data = redis.call('GET', KEYS[1])
+if not data then return false end
+local job = cjson.decode(data)
+job.text = ARGV[1]
+redis.call('SET', KEYS[1], cjson.encode(job), 'KEEPTTL')
+return job.status
+`;
+
+// Drop a queued job, unless an attempt to send it is already in progress
+const DROP_QUEUED_JOB_SCRIPT = `
+if redis.call('EXISTS', KEYS[2]) == 1 then return 0 end
+redis.call('ZREM', KEYS[3], ARGV[1])
+return redis.call('DEL', KEYS[1])
+`;
+
+let outboundPolling = false;
+
+/**
+ * Queue a message for the customer and try to send it straight away
+ */
+async function queueOutboundMessage(session, userId, text, media, messageTs, followUp = null) {
+  const jobId = crypto.randomUUID();
+  const job = {
+    id: jobId,
+    session_id: session.session_id,
+    thread_ts: session.thread_ts,
+    message_ts: messageTs,
+    user_id: userId,
+    text: text || '',
+    media,
+    ...(followUp && { follow_up_type: followUp.type, original_ts: followUp.originalTs }),
+    attempts: 0,
+    created_at: new Date().toISOString(),
+  };
+
+  await setOutboundStatus(job, 'pending');
+  await redis.multi()
+    .set(`outbound:job:${jobId}`, JSON.stringify(job))
+    .zAdd(OUTBOUND_DUE_KEY, { score: Date.now(), value: jobId })
+    .exec();
+
+  await processOutboundQueue();
+  return jobId;
+}
+
+/**
+ * Send every outbound message that is due. Jobs are claimed atomically (see
+ * CLAIM_DUE_JOB_SCRIPT), so only one instance sends each attempt.
+ */
+async function processOutboundQueue() {
+  if (outboundPolling) return;
+  outboundPolling = true;
+
+  try {
+    const now = Date.now();
+    const dueJobIds = await redis.zRangeByScore(OUTBOUND_DUE_KEY, 0, now, { LIMIT: { offset: 0, count: 50 } });
+
+    for (const jobId of dueJobIds) {
+      const claimed = await redis.eval(CLAIM_DUE_JOB_SCRIPT, {
+        keys: [OUTBOUND_DUE_KEY],
+        arguments: [jobId, String(now), String(now + OUTBOUND_LEASE_MS)],
+      });
+      if (!claimed) continue;
+
+      // Set before the job is read, so an edit either lands before this attempt or not at all
+      const sendingKey = `outbound:sending:${jobId}`;
+      await redis.set(sendingKey, '1', { PX: OUTBOUND_LEASE_MS });
+      try {
+        const data = await redis.get(`outbound:job:${jobId}`);
+        if (!data) {
+          await redis.zRem(OUTBOUND_DUE_KEY, jobId);
+          continue;
+        }
+        await attemptOutboundMessage(JSON.parse(data));
+      } finally {
+        await redis.del(sendingKey);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Error processing outbound queue:', error.message);
+  } finally {
+    outboundPolling = false;
+  }
+}
+
+/**
+ * Try to deliver one queued message. Failures are retried with exponential backoff;
+ * client errors other than timeouts and rate limits fail straight away.
+ */
+async function attemptOutboundMessage(job) {
+  job.attempts += 1;
+
+  try {
+    const session = await getSession(job.session_id);
+    if (!session) {
+      const error = new Error(STRINGS.outboundTicketClosed);
+      error.permanent = true;
+      throw error;
+    }
+
+    let payload = { message_type: 'text', text: job.text };
+    if (job.media) {
+      payload = { message_type: job.media.type, [job.media.type]: { url: job.media.url } };
+      if (job.text) payload[job.media.type].caption = job.text;
+      if (job.media.type === 'file') payload.file.name = job.media.name;
+    }
+
+    const response = await axios.post(
+      `${AI_STUDIO_BASE_URL}/live-agent/outbound/${job.session_id}`,
+      payload,
+      { headers: { 'X-Vgai-Key': AI_STUDIO_KEY } }
+    );
+
+    await redis.multi()
+      .zRem(OUTBOUND_DUE_KEY, job.id)
+      .del(`outbound:job:${job.id}`)
+      .exec();
+    console.log(`✅ ${job.media ? job.media.type : 'Message'} sent to WhatsApp for session ${job.session_id}`);
+
+    await setOutboundStatus(job, 'sent');
+
+    // Delivery and read receipts replace the ✅ once they arrive
+    const messageId = response.data?.message_uuid || response.data?.message_id;
+    if (messageId && job.message_ts) {
+      await trackDeliveryStatus(messageId, job.message_ts, job.id);
+    }
+    await appendTranscript(job.thread_ts, {
+      direction: 'outbound',
+      author: job.user_id,
+      type: job.follow_up_type || (job.media ? job.media.type : 'text'),
+      text: job.text,
+      ...(job.media && { url: job.media.url, filename: job.media.name }),
+      ...(job.message_ts && { slack_ts: job.message_ts }),
+      ...(job.original_ts && { original_ts: job.original_ts }),
+    });
+  } catch (error) {
+    const status = error.response?.status;
+    const permanent = error.permanent || (status >= 400 && status < 500 && ![408, 429].includes(status));
+    job.last_error = error.response?.data?.message || error.message;
+
+    if (!permanent && job.attempts < OUTBOUND_MAX_ATTEMPTS) {
+      const delay = Math.min(OUTBOUND_RETRY_BASE_MS * 2 ** (job.attempts - 1), OUTBOUND_RETRY_MAX_MS);
+      await redis.multi()
+        .set(`outbound:job:${job.id}`, JSON.stringify(job))
+        .zAdd(OUTBOUND_DUE_KEY, { score: Date.now() + delay, value: job.id })
+        .exec();
+      console.warn(`⚠️ Outbound message ${job.id} failed (attempt ${job.attempts}), retrying in ${delay / 1000}s: ${job.last_error}`);
+      return;
+    }
+
+    console.error(`❌ Outbound message ${job.id} failed after ${job.attempts} attempt(s): ${job.last_error}`);
+    await setOutboundStatus(job, 'failed');
+    job.failure_notice_ts = await postOutboundFailure(job);
+    await redis.multi()
+      .zRem(OUTBOUND_DUE_KEY, job.id)
+      .set(`outbound:job:${job.id}`, JSON.stringify(job), { EX: OUTBOUND_FAILED_TTL_SECONDS })
+      .exec();
+  }
+}
+
+/**
+ * Update a queued message's status and the reaction on the Slack message it came from
+ */
+async function setOutboundStatus(job, status) {
+  const previous = job.status;
+  job.status = status;
+  if (!job.message_ts || previous === status) return;
+
+  await setMessageJobStatus(job.message_ts, job.id, status);
+}
+
+/**
+ * The status a Slack message shows for all the jobs it was sent as (one per file):
+ * failed if any failed, pending while any is queued, otherwise the least advanced
+ * delivery receipt
+ */
+function getCombinedMessageStatus(statuses) {
+  if (statuses.length === 0) return null;
+  for (const status of ['failed', 'rejected', 'undeliverable', 'pending']) {
+    if (statuses.includes(status)) return status;
+  }
+  return statuses.reduce((least, status) =>
+    (DELIVERY_STATUS_RANK[status] || 0) < (DELIVERY_STATUS_RANK[least] || 0) ? status : least);
+}
+
+/**
+ * Record the status (queue status or delivery receipt) of one job sent from a Slack
+ * message, and swap the message's reaction if its combined status changed
+ */
+async function setMessageJobStatus(messageTs, jobId, status) {
+  const statusKey = `outbound:message_status:${messageTs}`;
+  const reactionKey = `outbound:message_reaction:${messageTs}`;
+  const [, , statuses, shownData] = await redis.multi()
+    .hSet(statusKey, jobId, status)
+    .expire(statusKey, OUTBOUND_FAILED_TTL_SECONDS)
+    .hVals(statusKey)
+    .get(reactionKey)
+    .exec();
+
+  const combined = getCombinedMessageStatus(statuses);
+  const shown = shownData ? JSON.parse(shownData) : null;
+  if (shown?.status === combined) return;
+
+  const headers = { 'Authorization': `Bearer ${SLACK_BOT_TOKEN}`, 'Content-Type': 'application/json' };
+  const react = (method, name) => axios.post(
+    `https://slack.com/api/reactions.${method}`,
+    { channel: SLACK_CHANNEL_ID, timestamp: messageTs, name },
+    { headers }
+  );
+
+  let reaction = OUTBOUND_STATUS_REACTIONS[combined] || DELIVERY_STATUS_REACTIONS[combined];
+  try {
+    if (shown) await react('remove', shown.reaction);
+    const added = await react('add', reaction);
+
+    // A custom emoji that isn't in the workspace falls back to a built-in one
+    const fallback = FALLBACK_DELIVERY_STATUS_REACTIONS[combined];
+    if (added.data.error === 'invalid_name' && fallback && fallback !== reaction) {
+      reaction = fallback;
+      await react('add', reaction);
+    }
+  } catch (error) {
+    console.error('❌ Error updating delivery status reaction:', error.message);
+  }
+  await redis.set(reactionKey, JSON.stringify({ status: combined, reaction }), { EX: OUTBOUND_FAILED_TTL_SECONDS });
+}
+
+/**
+ * Tell the thread a message couldn't be delivered, with a Retry button, and alert the
+ * ticket's owner or assignees. Returns the notice's timestamp.
+ */
+async function postOutboundFailure(job) {
+  const preview = job.text || job.media?.name || job.media?.url || '';
+  let text = STRINGS.outboundFailed
+    .replace('{error}', job.last_error)
+    .replace('{text}', preview.replace(/^/gm, '>'));
+
+  const mentionIds = await getTicketMentions(job.session_id);
+  if (mentionIds.length > 0) {
+    text += `\n${STRINGS.outboundFailedAssignees.replace('{mentions}', mentionIds.map(formatMention).join(', '))}`;
+  }
+
+  try {
+    const response = await axios.post(
+      'https://slack.com/api/chat.postMessage',
+      {
+        channel: SLACK_CHANNEL_ID,
+        thread_ts: job.thread_ts,
+        text,
+        blocks: [
+          { type: 'section', text: { type: 'mrkdwn', text } },
+          {
+            type: 'actions',
+            elements: [{
+              type: 'button',
+              text: { type: 'plain_text', text: STRINGS.outboundRetryButton },
+              action_id: 'retry_outbound',
+              value: job.id,
+            }],
+          },
+        ],
+      },
+      { headers: { 'Authorization': `Bearer ${SLACK_BOT_TOKEN}`, 'Content-Type': 'application/json' } }
+    );
+    return response.data.ts;
+  } catch (error) {
+    console.error('❌ Error posting delivery failure:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Put a failed message back in the queue from its Retry button
+ */
+async function retryOutboundMessage(jobId, payload) {
+  const data = await redis.get(`outbound:job:${jobId}`);
+  if (!data) {
+    await postEphemeral(payload.channel.id, payload.user.id, payload.message.thread_ts, STRINGS.outboundRetryExpired);
+    return;
+  }
+  const job = JSON.parse(data);
+  if (job.status !== 'failed') return;
+
+  await axios.post(
+    'https://slack.com/api/chat.update',
+    {
+      channel: payload.channel.id,
+      ts: payload.message.ts,
+      text: STRINGS.outboundRetrying.replace('{user}', payload.user.id),
+      blocks: [],
+    },
+    { headers: { 'Authorization': `Bearer ${SLACK_BOT_TOKEN}`, 'Content-Type': 'application/json' } }
+  );
+
+  job.attempts = 0;
+  await setOutboundStatus(job, 'pending');
+  await redis.multi()
+    .set(`outbound:job:${jobId}`, JSON.stringify(job))
+    .zAdd(OUTBOUND_DUE_KEY, { score: Date.now(), value: jobId })
+    .exec();
+  console.log(`🔁 Outbound message ${jobId} retried by ${payload.user.id}`);
+
+  await processOutboundQueue();
+}
+
+/**
+ * Start polling Redis for outbound messages. Messages queued while the server
+ * was down are sent on the first poll.
+ */
+async function startOutboundQueue() {
+  const pending = await redis.zCard(OUTBOUND_DUE_KEY);
+  if (pending > 0) {
+    console.log(`📤 Recovered ${pending} queued outbound message(s)`);
+  }
+
+  setInterval(processOutboundQueue, OUTBOUND_POLL_INTERVAL_MS);
+  await processOutboundQueue();
+}
+
+// ============================================
+// Delivery Receipts
+// ============================================
+
+// delivery:<messageId> - the Slack message and outbound job a WhatsApp message came from, and its latest status
+const DELIVERY_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Statuses only move forward; a late "delivered" doesn't replace "read"
+const DELIVERY_STATUS_RANK = {
+  submitted: 1,
+  delivered: 2,
+  read: 3,
+  rejected: 4,
+  undeliverable: 4,
+};
+
+// Built-in reaction for each status, used when the configured emoji doesn't exist
+const FALLBACK_DELIVERY_STATUS_REACTIONS = {
+  submitted: 'heavy_check_mark',
+  delivered: 'ballot_box_with_check',
+  read: 'eyes',
+  rejected: 'x',
+  undeliverable: 'x',
+};
+
+// Reaction for each status: ✓ submitted, ✓✓ delivered. Slack has no ✓✓ emoji, so
+// `delivered` uses the custom emoji :double_check: (☑️ until it's added to the workspace)
+const DELIVERY_STATUS_REACTIONS = {
+  ...FALLBACK_DELIVERY_STATUS_REACTIONS,
+  delivered: 'double_check',
+  ...Object.fromEntries((process.env.DELIVERY_STATUS_EMOJI || '')
+    .split(',')
+    .map(pair => pair.split('=').map(part => part.trim().replace(/:/g, '')))
+    .filter(([status, name]) => DELIVERY_STATUS_RANK[status] && name)),
+};
+
+/**
+ * Remember which Slack message and outbound job a sent WhatsApp message belongs to.
+ * A status that arrived before this mapping was saved is applied now.
+ */
+async function trackDeliveryStatus(messageId, messageTs, jobId) {
+  const key = `delivery:${messageId}`;
+  const early = await redis.get(key);
+  await redis.set(key, JSON.stringify({ ts: messageTs, job_id: jobId, status: null }), { EX: DELIVERY_TTL_SECONDS });
+
+  const earlyStatus = early ? JSON.parse(early).status : null;
+  if (earlyStatus) await updateDeliveryStatus(messageId, earlyStatus);
+}
+
+/**
+ * Show a new delivery status on the Slack message a WhatsApp message came from
+ */
+async function updateDeliveryStatus(messageId, status) {
+  const key = `delivery:${messageId}`;
+  const data = await redis.get(key);
+  const record = data ? JSON.parse(data) : null;
+
+  // Callback before the send finished: keep the status until the mapping is saved.
+  // Broadcast messages never get a mapping; their status is read for the report.
+  if (!record || !record.ts) {
+    if (!record || DELIVERY_STATUS_RANK[status] > (DELIVERY_STATUS_RANK[record.status] || 0)) {
+      await redis.set(key, JSON.stringify({ status }), { EX: DELIVERY_TTL_SECONDS });
+    }
+    return;
+  }
+
+  if (DELIVERY_STATUS_RANK[status] <= (DELIVERY_STATUS_RANK[record.status] || 0)) return;
+
+  record.status = status;
+  await redis.set(key, JSON.stringify(record), { EX: DELIVERY_TTL_SECONDS });
+  await setMessageJobStatus(record.ts, record.job_id, status);
+}
+
+// ============================================
+// Broadcast
+// ============================================
+
+// broadcast:<id>               - the broadcast (message, roles, Slack messages, counts)
+// broadcast:<id>:state         - running | paused | cancelled | done, changed by the buttons
+// broadcast:<id>:cancelled_by  - who cancelled it, shown once the sending loop has stopped
+// broadcast:<id>:recipients    - list of contacts to send to
+// broadcast:<id>:results       - one entry per contact attempted, in order; its length is the
+//                                position to resume from
+// broadcasts:active            - broadcasts that still have contacts to send to
+const BROADCASTS_ACTIVE_KEY = 'broadcasts:active';
+// How many WhatsApp messages a broadcast sends per second (anything but a positive number means 5)
+const BROADCAST_MESSAGES_PER_SECOND = Number(process.env.BROADCAST_MESSAGES_PER_SECOND) > 0
+  ? Number(process.env.BROADCAST_MESSAGES_PER_SECOND)
+  : 5;
+const BROADCAST_PROGRESS_INTERVAL_MS = 3 * 1000;
+const BROADCAST_POLL_INTERVAL_MS = 15 * 1000;
+// Only one instance sends a broadcast; a dead instance's broadcast is picked up once this lapses
+const BROADCAST_LEASE_MS = 60 * 1000;
+// Rate-limited sends are retried this many times before the contact is marked failed,
+// waiting at most half a lease each time
+const BROADCAST_MAX_ATTEMPTS = 3;
+const BROADCAST_RETRY_MAX_WAIT_MS = BROADCAST_LEASE_MS / 2;
+// Keep finished broadcasts around so their report can still be downloaded
+const BROADCAST_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+// Broadcasts this instance is sending right now
+const runningBroadcasts = new Set();
+
+/**
+ * Save a broadcast to every contact matching the given roles.
+ * Returns its id, or null if no contacts match.
+ */
+async function createBroadcast({ message, roles, channelId, threadTs, progressTs, userId }) {
+  const contacts = await getAllContacts();
+  const matched = contacts.filter(c =>
+    c.roles && c.roles.some(r => roles.includes(r))
+  );
+
+  if (matched.length === 0) return null;
+
+  const broadcastId = crypto.randomUUID();
+  const broadcast = {
+    id: broadcastId,
+    message,
+    roles,
+    channel_id: channelId,
+    thread_ts: threadTs,
+    progress_ts: progressTs,
+    created_by: userId,
+    created_at: new Date().toISOString(),
+    total: matched.length,
+    sent: 0,
+    failed: 0,
+  };
+
+  await redis.multi()
+    .set(`broadcast:${broadcastId}`, JSON.stringify(broadcast))
+    .set(`broadcast:${broadcastId}:state`, 'running')
+    .rPush(`broadcast:${broadcastId}:recipients`, matched.map(c => JSON.stringify({ phone: c.phone, name: c.name })))
+    .sAdd(BROADCASTS_ACTIVE_KEY, broadcastId)
+    .exec();
+
+  console.log(`📡 [Broadcast] ${broadcastId} created for ${matched.length} contacts by ${userId}`);
+  await updateBroadcastProgress(broadcastId);
+  return broadcastId;
+}
+
+/**
+ * Load a broadcast and its state (null if unknown)
+ */
+async function getBroadcast(broadcastId) {
+  const [data, state] = await Promise.all([
+    redis.get(`broadcast:${broadcastId}`),
+    redis.get(`broadcast:${broadcastId}:state`),
+  ]);
+  return data ? { ...JSON.parse(data), state } : null;
+}
+
+/**
+ * Send a broadcast's remaining contacts at BROADCAST_MESSAGES_PER_SECOND, until it is
+ * finished, paused or cancelled. Progress is saved after every contact so a restart
+ * carries on where it stopped. Only this loop finishes a broadcast, so its counts and
+ * report include the contact that was being sent to when it was cancelled.
+ */
+async function runBroadcast(broadcastId) {
+  if (runningBroadcasts.has(broadcastId)) return;
+  runningBroadcasts.add(broadcastId);
+  const leaseKey = `broadcast:${broadcastId}:lease`;
+  const leaseOwner = crypto.randomUUID();
+  let leased = false;
+
+  try {
+    leased = await redis.set(leaseKey, leaseOwner, { NX: true, PX: BROADCAST_LEASE_MS }) === 'OK';
+    if (!leased) return;
+
+    const renewLease = () => renewLock(leaseKey, leaseOwner, BROADCAST_LEASE_MS);
+    const interval = 1000 / BROADCAST_MESSAGES_PER_SECOND;
+    let lastProgressAt = Date.now();
+
+    while (true) {
+      const broadcast = await getBroadcast(broadcastId);
+      if (!broadcast) break;
+
+      if (broadcast.state === 'cancelled') {
+        await finishBroadcast(broadcastId, 'cancelled');
+        const cancelledBy = await redis.get(`broadcast:${broadcastId}:cancelled_by`);
+        await updateBroadcastProgress(broadcastId, cancelledBy && { action: 'cancel', userId: cancelledBy });
+        break;
+      }
+      if (broadcast.state !== 'running') break;
+
+      const position = await redis.lLen(`broadcast:${broadcastId}:results`);
+      if (position >= broadcast.total) {
+        await finishBroadcast(broadcastId, 'done');
+        await updateBroadcastProgress(broadcastId);
+        break;
+      }
+
+      // Another instance took over after our lease lapsed
+      if (!(await renewLease())) break;
+
+      const startedAt = Date.now();
+      const recipient = JSON.parse(await redis.lIndex(`broadcast:${broadcastId}:recipients`, position));
+      const result = await sendBroadcastRecipient(broadcast.message, recipient, renewLease);
+
+      broadcast[result.status] += 1;
+      delete broadcast.state;
+      await redis.multi()
+        .rPush(`broadcast:${broadcastId}:results`, JSON.stringify(result))
+        .set(`broadcast:${broadcastId}`, JSON.stringify(broadcast), { KEEPTTL: true })
+        .exec();
+
+      if (Date.now() - lastProgressAt >= BROADCAST_PROGRESS_INTERVAL_MS) {
+        await updateBroadcastProgress(broadcastId);
+        lastProgressAt = Date.now();
+      }
+
+      await new Promise(resolve => setTimeout(resolve, Math.max(0, interval - (Date.now() - startedAt))));
+    }
+  } catch (error) {
+    console.error(`❌ [Broadcast] Error sending ${broadcastId}:`, error.message);
+  } finally {
+    runningBroadcasts.delete(broadcastId);
+    if (leased) await releaseLock(leaseKey, leaseOwner).catch(() => {});
+  }
+}
+
+/**
+ * Send a broadcast to one contact, waiting and retrying when Vonage rate-limits us.
+ * `renewLease` keeps the broadcast's lease through each wait. Returns the contact's
+ * report entry.
+ */
+async function sendBroadcastRecipient(message, { phone, name }, renewLease) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const messageId = await sendWhatsAppBroadcast(phone, message);
+      console.log(`📡 [Broadcast] Sent to ${phone} (${name})`);
+      return { phone, name, status: 'sent', message_id: messageId, at: new Date().toISOString() };
+    } catch (error) {
+      if (error.response?.status === 429 && attempt < BROADCAST_MAX_ATTEMPTS) {
+        const retryAfter = Number(error.response.headers?.['retry-after']) || attempt;
+        if (!(await renewLease())) throw new Error('broadcast lease lost while rate-limited');
+        await new Promise(resolve => setTimeout(resolve, Math.min(retryAfter * 1000, BROADCAST_RETRY_MAX_WAIT_MS)));
+        continue;
+      }
+
+      const errMsg = error.response?.data?.title || error.message || 'Unknown error';
+      console.error(`❌ [Broadcast] Failed to send to ${phone} (${name}):`, errMsg);
+      return { phone, name, status: 'failed', error: errMsg, at: new Date().toISOString() };
+    }
+  }
+}
+
+/**
+ * Mark a broadcast finished (done or cancelled) and attach its report to the thread
+ */
+async function finishBroadcast(broadcastId, state) {
+  const data = await redis.get(`broadcast:${broadcastId}`);
+  if (!data) return;
+  const broadcast = JSON.parse(data);
+  broadcast.finished_at = new Date().toISOString();
+
+  await redis.multi()
+    .set(`broadcast:${broadcastId}`, JSON.stringify(broadcast), { EX: BROADCAST_TTL_SECONDS })
+    .set(`broadcast:${broadcastId}:state`, state, { EX: BROADCAST_TTL_SECONDS })
+    .expire(`broadcast:${broadcastId}:recipients`, BROADCAST_TTL_SECONDS)
+    .expire(`broadcast:${broadcastId}:results`, BROADCAST_TTL_SECONDS)
+    .sRem(BROADCASTS_ACTIVE_KEY, broadcastId)
+    .exec();
+
+  console.log(`📡 [Broadcast] ${broadcastId} ${state}: ${broadcast.sent} sent, ${broadcast.failed} failed`);
+  await uploadBroadcastReport(broadcastId);
+}
+
+/**
+ * Pause, resume or cancel a broadcast from its progress message
+ */
+async function setBroadcastState(broadcastId, action, userId) {
+  const broadcast = await getBroadcast(broadcastId);
+  if (!broadcast) return;
+
+  if (action === 'pause' && broadcast.state === 'running') {
+    await redis.set(`broadcast:${broadcastId}:state`, 'paused');
+  } else if (action === 'resume' && broadcast.state === 'paused') {
+    await redis.set(`broadcast:${broadcastId}:state`, 'running');
+  } else if (action === 'cancel' && ['running', 'paused'].includes(broadcast.state)) {
+    // The sending loop finishes it once its current contact is done
+    await redis.multi()
+      .set(`broadcast:${broadcastId}:state`, 'cancelled')
+      .set(`broadcast:${broadcastId}:cancelled_by`, userId, { EX: BROADCAST_TTL_SECONDS })
+      .exec();
+  } else {
+    return;
+  }
+
+  console.log(`📡 [Broadcast] ${broadcastId} ${action} by ${userId}`);
+  await updateBroadcastProgress(broadcastId, { action, userId });
+  // A paused broadcast has no loop running, so start one to finish the cancellation
+  if (['resume', 'cancel'].includes(action)) runBroadcast(broadcastId);
+}
+
+/**
+ * Build a broadcast's progress message: counts, roles and the control buttons
+ */
+function buildBroadcastProgress(broadcast, change = null) {
+  const remaining = broadcast.total - broadcast.sent - broadcast.failed;
+  const roleList = broadcast.roles.map(r => `\`${r}\``).join(', ');
+  const heading = STRINGS.broadcastStates[broadcast.state].replace('{total}', broadcast.total);
+  const lines = [
+    heading,
+    STRINGS.broadcastProgress
+      .replace('{sent}', broadcast.sent)
+      .replace('{failed}', broadcast.failed)
+      .replace('{remaining}', remaining),
+    STRINGS.broadcastRoles.replace('{roles}', roleList),
+  ];
+  if (change) lines.push(STRINGS.broadcastChangedBy[change.action].replace('{user}', change.userId));
+
+  const button = (text, actionId, extra = {}) => ({
+    type: 'button',
+    text: { type: 'plain_text', text },
+    action_id: actionId,
+    value: broadcast.id,
+    ...extra,
+  });
+  const elements = [];
+  if (broadcast.state === 'running') elements.push(button(STRINGS.broadcastPauseButton, 'pause_broadcast'));
+  if (broadcast.state === 'paused') elements.push(button(STRINGS.broadcastResumeButton, 'resume_broadcast', { style: 'primary' }));
+  if (['running', 'paused'].includes(broadcast.state)) {
+    elements.push(button(STRINGS.broadcastCancelButton, 'cancel_broadcast', {
+      style: 'danger',
+      confirm: {
+        title: { type: 'plain_text', text: STRINGS.broadcastCancelConfirmTitle },
+        text: { type: 'plain_text', text: STRINGS.broadcastCancelConfirmText },
+        confirm: { type: 'plain_text', text: STRINGS.broadcastCancelConfirm },
+        deny: { type: 'plain_text', text: STRINGS.broadcastCancelDeny },
+      },
+    }));
+  }
+  elements.push(button(STRINGS.broadcastReportButton, 'broadcast_report'));
+
+  return {
+    text: heading,
+    blocks: [
+      { type: 'section', text: { type: 'mrkdwn', text: lines.join('\n') } },
+      { type: 'actions', block_id: 'broadcast_controls', elements },
+    ],
+  };
+}
+
+/**
+ * Re-render a broadcast's progress message. `change` is the { action, userId } of a
+ * button press to show under the counts.
+ */
+async function updateBroadcastProgress(broadcastId, change = null) {
+  const broadcast = await getBroadcast(broadcastId);
+  if (!broadcast) return;
+
+  const { text, blocks } = buildBroadcastProgress(broadcast, change);
+  try {
+    await axios.post(
+      'https://slack.com/api/chat.update',
+      { channel: broadcast.channel_id, ts: broadcast.progress_ts, text, blocks },
+      { headers: { 'Authorization': `Bearer ${SLACK_BOT_TOKEN}`, 'Content-Type': 'application/json' } }
+    );
+  } catch (error) {
+    console.error('❌ Error updating broadcast progress:', error.message);
+  }
+}
+
+/**
+ * Upload a CSV of every contact in a broadcast (sent, failed or not sent yet, with the
+ * latest delivery receipt) into the broadcast's thread
+ */
+async function uploadBroadcastReport(broadcastId) {
+  const broadcast = await getBroadcast(broadcastId);
+  if (!broadcast) return;
+
+  const [recipients, results] = await Promise.all([
+    redis.lRange(`broadcast:${broadcastId}:recipients`, 0, -1),
+    redis.lRange(`broadcast:${broadcastId}:results`, 0, -1),
+  ]);
+
+  const rows = [['phone', 'name', 'status', 'error', 'message_id', 'delivery_status', 'sent_at']];
+  for (const [index, data] of recipients.entries()) {
+    const recipient = JSON.parse(data);
+    const result = results[index] ? JSON.parse(results[index]) : { status: 'pending' };
+    const receipt = result.message_id ? await redis.get(`delivery:${result.message_id}`) : null;
+    rows.push([
+      recipient.phone,
+      recipient.name,
+      STRINGS.broadcastReportStatuses[result.status],
+      result.error,
+      result.message_id,
+      receipt ? JSON.parse(receipt).status : '',
+      result.at,
+    ]);
+  }
+
+  const filename = `broadcast-${broadcast.created_at.slice(0, 10)}-${broadcastId.slice(0, 8)}.csv`;
+  try {
+    await uploadFileToSlack({
+      channelId: broadcast.channel_id,
+      threadTs: broadcast.thread_ts,
+      filename,
+      title: filename,
+      content: rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n',
+      comment: STRINGS.broadcastReportComment,
+    });
+  } catch (error) {
+    console.error('❌ Error uploading broadcast report:', error.message);
+  }
+}
+
+/**
+ * Pick up broadcasts that were running (or being cancelled) when the server stopped,
+ * and any whose instance died mid-send (once its lease lapses)
+ */
+async function startBroadcastWorker() {
+  const resumeBroadcasts = async () => {
+    try {
+      const broadcastIds = await redis.sMembers(BROADCASTS_ACTIVE_KEY);
+      for (const broadcastId of broadcastIds) {
+        const state = await redis.get(`broadcast:${broadcastId}:state`);
+        if (['running', 'cancelled'].includes(state)) runBroadcast(broadcastId);
+      }
+    } catch (error) {
+      console.error('❌ Error resuming broadcasts:', error.message);
+    }
+  };
+
+  setInterval(resumeBroadcasts, BROADCAST_POLL_INTERVAL_MS);
+  await resumeBroadcasts();
+}
+
+/**
+ * Generate a Vonage JWT for Messages API authentication.
+ */
+function generateVonageJWT() {
+  const header = { typ: 'JWT', alg: 'RS256' };
+  const now = Math.floor(Date.now() / 1000);
+  const payload = {
+    iat: now,
+    exp: now + 86400,
+    jti: crypto.randomUUID(),
+    application_id: VONAGE_APPLICATION_ID,
+    sub: '',
+    acl: '',
+  };
+
+  const encode = (obj) => Buffer.from(JSON.stringify(obj)).toString('base64url');
+  const signingInput = `${encode(header)}.${encode(payload)}`;
+  const privateKey = VONAGE_PRIVATE_KEY.replace(/\\n/g, '\n');
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(signingInput), privateKey).toString('base64url');
+  return `${signingInput}.${signature}`;
+}
+
+/**
+ * Send a WhatsApp message to a single contact via Vonage Messages API.
+ * Returns Vonage's message id; throws if the send fails.
+ */
+async function sendWhatsAppBroadcast(phone, message) {
+  const token = generateVonageJWT();
+  const response = await axios.post(
+    'https://api.nexmo.com/v1/messages',
+    {
+      message_type: 'text',
+      text: message,
+      to: phone,
+      from: VONAGE_WHATSAPP_NUMBER,
+      channel: 'whatsapp',
+    },
+    {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+      },
+    }
+  );
+  return response.data?.message_uuid;
+}
+
+// ============================================
+// Ticket Transcripts
+// ============================================
+
+// ticket:<threadTs>     - ticket metadata (phone, school, intent, assignees, open/close times)
+// transcript:<threadTs> - list of transcript entries, oldest first
+
+/**
+ * Create the archived record for a new ticket, seeded with the AI Studio conversation
+ */
+async function openTicketRecord(session, history = []) {
+  const ticket = {
+    thread_ts: session.thread_ts,
+    session_id: session.session_id,
+    profile_name: session.profile_name,
+    phone: session.phone || '',
+    school: session.school || '',
+    intent: session.intent || '',
+    assignee_ids: session.assignee_ids || [],
+    owner_id: session.owner_id || null,
+    after_hours: !!session.after_hours,
+    opened_at: session.created_at,
+    closed_at: null,
+  };
+  await redis.set(`ticket:${session.thread_ts}`, JSON.stringify(ticket));
+  if (ticket.phone) {
+    await redis.zAdd(`customer_tickets:${ticket.phone}`, {
+      score: new Date(ticket.opened_at).getTime(),
+      value: ticket.thread_ts,
+    });
+  }
+
+  for (const turn of history) {
+    await appendTranscript(session.thread_ts, {
+      direction: 'history',
+      author: turn.speaker === 'bot' ? 'bot' : session.profile_name,
+      type: 'text',
+      text: turn.text,
+    }, session.created_at);
+  }
+}
+
+/**
+ * Append an entry to a ticket's transcript
+ */
+async function appendTranscript(threadTs, entry, at = new Date().toISOString()) {
+  try {
+    await redis.rPush(`transcript:${threadTs}`, JSON.stringify({ at, ...entry }));
+  } catch (error) {
+    console.error(`❌ Error appending to transcript ${threadTs}:`, error.message);
+  }
+}
+
+/**
+ * Mark a ticket closed in its archived record. The transcript is kept.
+ */
+async function closeTicketRecord(session, closedBy) {
+  const data = await redis.get(`ticket:${session.thread_ts}`);
+  const ticket = data ? JSON.parse(data) : { thread_ts: session.thread_ts, opened_at: session.created_at };
+
+  ticket.session_id = session.session_id;
+  ticket.assignee_ids = session.assignee_ids || ticket.assignee_ids || [];
+  ticket.owner_id = session.owner_id || null;
+  ticket.closed_at = new Date().toISOString();
+  ticket.closed_by = closedBy;
+  await redis.set(`ticket:${session.thread_ts}`, JSON.stringify(ticket));
+
+  // Later escalations from this customer start a new ticket
+  if (session.phone) {
+    const openTicketKey = getOpenTicketKey(session.phone, session.intent);
+    if (await redis.get(openTicketKey) === session.thread_ts) {
+      await redis.del(openTicketKey);
+    }
+  }
+
+  if (TRANSCRIPT_RETENTION_DAYS > 0) {
+    const ttl = TRANSCRIPT_RETENTION_DAYS * 24 * 60 * 60;
+    await redis.expire(`ticket:${session.thread_ts}`, ttl);
+    await redis.expire(`transcript:${session.thread_ts}`, ttl);
+  }
+}
+
+/**
+ * Load a ticket's metadata and transcript entries (null if unknown)
+ */
+async function getTicketTranscript(threadTs) {
+  const data = await redis.get(`ticket:${threadTs}`);
+  if (!data) return null;
+  const entries = await redis.lRange(`transcript:${threadTs}`, 0, -1);
+  return { ticket: JSON.parse(data), messages: entries.map(entry => JSON.parse(entry)) };
+}
+
+/**
+ * Get a ticket's thread timestamp from a Slack permalink or a raw timestamp
+ */
+function parseThreadTs(text) {
+  if (!text) return null;
+  const link = /p(\d{10})(\d{6})/.exec(text);
+  if (link) return `${link[1]}.${link[2]}`;
+  return /^\d{10}\.\d{6}$/.test(text) ? text : null;
+}
+
+/**
+ * Look up Slack display names for the agents in a transcript
+ */
+async function resolveUserNames(userIds) {
+  const names = {};
+  for (const userId of userIds) {
+    try {
+      const response = await axios.get(
+        `https://slack.com/api/users.info?user=${userId}`,
+        { headers: { 'Authorization': `Bearer ${SLACK_BOT_TOKEN}` } }
+      );
+      const user = response.data.user;
+      names[userId] = user?.profile?.display_name || user?.real_name || user?.name || userId;
+    } catch (error) {
+      names[userId] = userId;
+    }
+  }
+  return names;
+}
+
+/**
+ * Quote a value for CSV
+ */
+function csvCell(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Escape text for HTML
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render a transcript as JSON, CSV or a standalone HTML page
+ */
+function renderTranscript({ ticket, messages }, format, names = {}) {
+  const authorName = (entry) => names[entry.author] || entry.author || (entry.direction === 'auto' ? 'Auto-response' : '');
+
+  if (format === 'json') {
+    return JSON.stringify({
+      ticket,
+      messages: messages.map(entry => ({ ...entry, author_name: authorName(entry) })),
+    }, null, 2);
+  }
+
+  if (format === 'csv') {
+    const rows = [['timestamp', 'direction', 'author', 'type', 'text', 'url', 'previous_text']];
+    for (const entry of messages) {
+      rows.push([entry.at, entry.direction, authorName(entry), entry.type, entry.text, entry.url, entry.previous_text]);
+    }
+    return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+  }
+
+  const rows = messages.map(entry => `
+      <div class="msg ${escapeHtml(entry.direction)}">
+        <div class="meta">${escapeHtml(authorName(entry))} · ${escapeHtml(entry.direction)}${['edit', 'deleted', 'correction', 'retraction'].includes(entry.type) ? ` · ${entry.type}` : ''} · ${escapeHtml(new Date(entry.at).toLocaleString('en-GB', { timeZone: 'UTC' }))} UTC</div>
+        ${entry.previous_text ? `<div class="text previous" dir="auto"><del>${escapeHtml(entry.previous_text)}</del></div>` : ''}
+        ${entry.text ? `<div class="text" dir="auto">${escapeHtml(entry.text)}</div>` : ''}
+        ${entry.url ? `<div class="media"><a href="${escapeHtml(entry.url)}">${escapeHtml(entry.filename || entry.type)}</a></div>` : ''}
+      </div>`).join('');
+
+  const labels = [STRINGS.intentTypes[ticket.intent] || ticket.intent, STRINGS.schoolTypes[ticket.school] || ticket.school]
+    .filter(Boolean)
+    .join(' • ');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Transcript – ${escapeHtml(ticket.profile_name)}</title>
+  <style>
+    body { font-family: -apple-system, Segoe UI, Roboto, sans-serif; max-width: 760px; margin: 2em auto; color: #1d1c1d; }
+    header { border-bottom: 1px solid #ddd; margin-bottom: 1em; padding-bottom: 1em; }
+    .msg { margin: 0.6em 0; padding: 0.6em 0.8em; border-radius: 8px; background: #f4f4f4; }
+    .msg.outbound { background: #e3f1fd; }
+    .msg.auto { background: #fff6dd; }
+    .msg.history { background: #eeeeee; }
+    .msg.internal { background: #f1e9fb; border-left: 3px solid #8e5bd6; }
+    .meta { font-size: 0.8em; color: #616061; margin-bottom: 0.3em; }
+    .text { white-space: pre-wrap; unicode-bidi: plaintext; }
+    .text.previous { color: #616061; }
+  </style>
+</head>
+<body>
+  <header>
+    <h1 dir="auto">${escapeHtml(ticket.profile_name)}</h1>
+    <div>${escapeHtml(formatPhoneNumber(ticket.phone))}${labels ? ` · ${escapeHtml(labels)}` : ''}</div>
+    <div>Opened ${escapeHtml(ticket.opened_at)}${ticket.closed_at ? ` · Closed ${escapeHtml(ticket.closed_at)}` : ''}</div>
+  </header>${rows}
+</body>
+</html>
+`;
+}
+
+/**
+ * Upload a generated file into a Slack channel/thread
+ */
+async function uploadFileToSlack({ channelId, threadTs, filename, title, content, comment }) {
+  const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+
+  const urlResponse = await axios.get(
+    `https://slack.com/api/files.getUploadURLExternal?filename=${encodeURIComponent(filename)}&length=${buffer.length}`,
+    { headers: { 'Authorization': `Bearer ${SLACK_BOT_TOKEN}` } }
+  );
+  if (!urlResponse.data.ok) {
+    throw new Error(`Slack API error: ${urlResponse.data.error}`);
+  }
+
+  await axios.post(urlResponse.data.upload_url, buffer, {
+    headers: { 'Content-Type': 'application/octet-stream' },
+    maxBodyLength: Infinity,
+  });
+
+  const completeResponse = await axios.post(
+    'https://slack.com/api/files.completeUploadExternal',
+    {
+      files: [{ id: urlResponse.data.file_id, title: title || filename }],
+      channel_id: channelId,
+      thread_ts: threadTs,
+      initial_comment: comment,
+    },
+    { headers: { 'Authorization': `Bearer ${SLACK_BOT_TOKEN}`, 'Content-Type': 'application/json' } }
+  );
+  if (!completeResponse.data.ok) {
+    throw new Error(`Slack API error: ${completeResponse.data.error}`);
+  }
+
+  return urlResponse.data.file_id;
+}
+
+/**
+ * Export a ticket's transcript into its thread. Returns false if there is no transcript.
+ */
+async function exportTranscript(threadTs, format) {
+  const transcript = await getTicketTranscript(threadTs);
+  if (!transcript) return false;
+
+  const agentIds = [...new Set(transcript.messages
+    .filter(entry => ['outbound', 'internal'].includes(entry.direction) && entry.author)
+    .map(entry => entry.author))];
+  const names = await resolveUserNames(agentIds);
+
+  const content = renderTranscript(transcript, format, names);
+  const date = (transcript.ticket.opened_at || '').slice(0, 10);
+  const filename = `transcript-${transcript.ticket.phone || transcript.ticket.session_id}-${date}.${format}`;
+
+  await uploadFileToSlack({
+    channelId: SLACK_CHANNEL_ID,
+    threadTs,
+    filename,
+    title: filename,
+    content,
+    comment: STRINGS.transcriptExportComment.replace('{format}', STRINGS.transcriptExportFormats[format]),
+  });
+
+  console.log(`📄 Exported transcript for ${threadTs} as ${format}`);
+  return true;
+}
+
+// ============================================
+// Internal Notes
+// ============================================
+
+/**
+ * Whether a thread reply is an internal note (starts with one of INTERNAL_NOTE_PREFIXES)
+ */
+function isInternalNote(text) {
+  const normalized = (text || '').trimStart().toLowerCase();
+  return INTERNAL_NOTE_PREFIXES.some(prefix => normalized.startsWith(prefix));
+}
+
+/**
+ * Remove the internal note prefix from a message
+ */
+function stripInternalNotePrefix(text) {
+  const trimmed = (text || '').trimStart();
+  const prefix = INTERNAL_NOTE_PREFIXES.find(p => trimmed.toLowerCase().startsWith(p));
+  return prefix ? trimmed.slice(prefix.length).trim() : trimmed;
+}
+
+/**
+ * Mark a note in the thread with a 🔒 reaction and add it to the transcript as internal
+ */
+async function recordInternalNote(threadTs, channelId, messageTs, userId, note) {
+  try {
+    await axios.post(
+      'https://slack.com/api/reactions.add',
+      { channel: channelId, timestamp: messageTs, name: 'lock' },
+      { headers: { 'Authorization': `Bearer ${SLACK_BOT_TOKEN}`, 'Content-Type': 'application/json' } }
+    );
+  } catch (error) {
+    console.error('❌ Error adding note reaction:', error.message);
+  }
+
+  await appendTranscript(threadTs, { direction: 'internal', author: userId, type: 'note', text: note, slack_ts: messageTs });
+}
+
+/**
+ * Open the "Add internal note" modal for the ticket thread a message shortcut was used in
+ */
+async function openInternalNoteModal(payload) {
+  const threadTs = payload.message.thread_ts || payload.message.ts;
+  const channelId = payload.channel.id;
+
+  const session = await getSessionByThread(threadTs);
+  if (!session) {
+    await postEphemeral(channelId, payload.user.id, payload.message.thread_ts, STRINGS.internalNoteNoTicket);
+    return;
+  }
+
+  await axios.post(
+    'https://slack.com/api/views.open',
+    {
+      trigger_id: payload.trigger_id,
+      view: {
+        type: 'modal',
+        callback_id: 'internal_note_modal',
+        private_metadata: JSON.stringify({ thread_ts: threadTs, channel_id: channelId }),
+        title: { type: 'plain_text', text: STRINGS.internalNoteModalTitle },
+        submit: { type: 'plain_text', text: STRINGS.internalNoteSubmit },
+        close: { type: 'plain_text', text: 'Cancel' },
+        blocks: [
+          {
+            type: 'input',
+            block_id: 'internal_note_block',
+            label: { type: 'plain_text', text: STRINGS.internalNoteLabel },
+            element: {
+              type: 'plain_text_input',
+              action_id: 'internal_note_input',
+              multiline: true,
+            },
+          },
+        ],
+      },
+    },
+    { headers: { 'Authorization': `Bearer ${SLACK_BOT_TOKEN}`, 'Content-Type': 'application/json' } }
+  );
+}
+
+// ============================================
+// Message Edits & Deletions
+// ============================================
+
+/**
+ * Quote text as a Slack blockquote
+ */
+function quoteText(text) {
+  return text.split('\n').map(line => `>${line}`).join('\n');
+}
+
+/**
+ * Find the jobs an agent message is still in the outbound queue as (pending or failed).
+ * A message with several files has a job per file.
+ */
+async function getQueuedOutboundJobs(messageTs) {
+  const jobIds = await redis.hKeys(`outbound:message_status:${messageTs}`);
+  if (jobIds.length === 0) return [];
+  const data = await redis.mGet(jobIds.map(jobId => `outbound:job:${jobId}`));
+  return data.filter(Boolean).map(item => JSON.parse(item));
+}
+
+/**
+ * What the customer received for a Slack message, without any corrections sent after it
+ */
+async function getDeliveredTexts(threadTs, messageTs) {
+  const transcript = await getTicketTranscript(threadTs);
+  return (transcript?.messages || [])
+    .filter(entry => entry.direction === 'outbound' && entry.slack_ts === messageTs)
+    .filter(entry => !['edit', 'deleted', 'correction', 'retraction'].includes(entry.type))
+    .map(entry => entry.text || entry.filename || entry.type);
+}
+
+/**
+ * Send a correction or retraction of a message the customer already has. It is shown
+ * in the thread first, so its delivery status is marked there instead of on the
+ * original message.
+ */
+async function sendFollowUp(session, userId, text, type, originalTs) {
+  const notice = await axios.post(
+    'https://slack.com/api/chat.postMessage',
+    {
+      channel: SLACK_CHANNEL_ID,
+      thread_ts: session.thread_ts,
+      text: (type === 'correction' ? STRINGS.correctionSent : STRINGS.retractionSent)
+        .replace('{user}', userId)
+        .replace('{text}', quoteText(text)),
+    },
+    { headers: { 'Authorization': `Bearer ${SLACK_BOT_TOKEN}`, 'Content-Type': 'application/json' } }
+  );
+
+  await sendAgentMessage(session, userId, text, null, notice.data.ts, { type, originalTs });
+}
+
+/**
+ * An agent edited a message in a ticket thread. WhatsApp can't edit a message once it
+ * has arrived, so the edit only replaces the text while the message is still queued;
+ * after that the customer gets a CORRECTION_PREFIX follow-up and the agent is told
+ * what the customer actually received.
+ */
+async function handleMessageEdit(event) {
+  const message = event.message || {};
+  const previous = event.previous_message || {};
+  const threadTs = message.thread_ts;
+
+  if (message.bot_id || (message.subtype && message.subtype !== 'file_share') || !threadTs || threadTs === message.ts) return;
+  // Unfurls and reply counts also arrive as message_changed
+  if (!message.edited || message.text === previous.text) return;
+
+  const session = await getSessionByThread(threadTs);
+  if (!session) return;
+
+  // Internal notes stay in Slack; only their history is kept
+  if (isInternalNote(previous.text)) {
+    await appendTranscript(threadTs, {
+      direction: 'internal',
+      author: message.user,
+      type: 'edit',
+      text: stripInternalNotePrefix(message.text),
+      previous_text: stripInternalNotePrefix(previous.text),
+      slack_ts: message.ts,
+    });
+    return;
+  }
+
+  // A reply edited into an internal note is kept as a note and taken back from the customer
+  if (isInternalNote(message.text)) {
+    await appendTranscript(threadTs, {
+      direction: 'internal',
+      author: message.user,
+      type: 'edit',
+      text: stripInternalNotePrefix(message.text),
+      previous_text: await slackToWhatsApp(previous.text),
+      slack_ts: message.ts,
+    });
+    await withdrawAgentMessage(session, event.channel, message.user, message.ts);
+    return;
+  }
+
+  const text = await slackToWhatsApp(message.text);
+  const previousText = await slackToWhatsApp(previous.text);
+  await appendTranscript(threadTs, {
+    direction: 'outbound',
+    author: message.user,
+    type: 'edit',
+    text,
+    previous_text: previousText,
+    slack_ts: message.ts,
+  });
+  if (text === previousText) return;
+
+  // Messages (or files) still queued are sent with the new text. One being sent right
+  // now can't change, so it counts as received and gets a correction.
+  const inFlight = [];
+  const notices = new Set();
+  for (const job of await getQueuedOutboundJobs(message.ts)) {
+    const status = await redis.eval(EDIT_QUEUED_JOB_SCRIPT, {
+      keys: [`outbound:job:${job.id}`, `outbound:sending:${job.id}`],
+      arguments: [text],
+    });
+    if (!status) {
+      inFlight.push(job.text || job.media?.name);
+      continue;
+    }
+    notices.add(status === 'failed' ? STRINGS.messageEditFailed : STRINGS.messageEditQueued);
+    console.log(`✏️ Queued message ${job.id} edited before it was sent`);
+  }
+  for (const notice of notices) {
+    await postEphemeral(event.channel, message.user, threadTs, notice);
+  }
+
+  const received = [...await getDeliveredTexts(threadTs, message.ts), ...inFlight];
+  if (received.length === 0) return;
+
+  // A file the customer already has can't be swapped, and a new caption alone would be confusing
+  if (message.files?.length > 0) {
+    await postEphemeral(event.channel, message.user, threadTs, STRINGS.messageEditFile
+      .replace('{received}', received.map(quoteText).join('\n')));
+    return;
+  }
+  if (!text) return;
+
+  const correction = [CORRECTION_PREFIX, text].filter(Boolean).join(' ');
+  await sendFollowUp(session, message.user, correction, 'correction', message.ts);
+  await postEphemeral(event.channel, message.user, threadTs, STRINGS.messageEditSent
+    .replace('{received}', received.map(quoteText).join('\n'))
+    .replace('{correction}', quoteText(correction)));
+  console.log(`✏️ Correction sent to WhatsApp for session ${session.session_id}`);
+}
+
+/**
+ * An agent deleted a message in a ticket thread. A queued message is dropped before it
+ * is sent; one the customer already has gets the RETRACTION_MESSAGE follow-up (if set)
+ * and the agent is told what the customer still has.
+ */
+async function handleMessageDeletion(event) {
+  const previous = event.previous_message || {};
+  const threadTs = previous.thread_ts;
+
+  if (previous.bot_id || !threadTs || threadTs === event.deleted_ts) return;
+
+  const session = await getSessionByThread(threadTs);
+  if (!session) return;
+
+  const note = isInternalNote(previous.text);
+  await appendTranscript(threadTs, {
+    direction: note ? 'internal' : 'outbound',
+    author: previous.user,
+    type: 'deleted',
+    text: '',
+    previous_text: note ? stripInternalNotePrefix(previous.text) : await slackToWhatsApp(previous.text),
+    slack_ts: event.deleted_ts,
+  });
+  if (note) return;
+
+  await withdrawAgentMessage(session, event.channel, previous.user, event.deleted_ts);
+}
+
+/**
+ * Take back an agent message that was deleted or turned into an internal note: drop
+ * it from the queue if it hasn't been sent, otherwise send the RETRACTION_MESSAGE
+ * follow-up (if set). The agent is told what the customer still has.
+ */
+async function withdrawAgentMessage(session, channelId, userId, messageTs) {
+  const threadTs = session.thread_ts;
+
+  // One being sent right now can't be stopped, so it counts as received
+  const inFlight = [];
+  let dropped = 0;
+  for (const job of await getQueuedOutboundJobs(messageTs)) {
+    const deleted = await redis.eval(DROP_QUEUED_JOB_SCRIPT, {
+      keys: [`outbound:job:${job.id}`, `outbound:sending:${job.id}`, OUTBOUND_DUE_KEY],
+      arguments: [job.id],
+    });
+    if (!deleted) {
+      inFlight.push(job.text || job.media?.name);
+      continue;
+    }
+    dropped += 1;
+    console.log(`🗑️ Queued message ${job.id} withdrawn before it was sent`);
+  }
+  if (dropped > 0) {
+    await postEphemeral(channelId, userId, threadTs, STRINGS.messageDeleteQueued);
+  }
+
+  const received = [...await getDeliveredTexts(threadTs, messageTs), ...inFlight];
+  if (received.length === 0) return;
+
+  let notice = STRINGS.messageDeleteSent.replace('{received}', received.map(quoteText).join('\n'));
+  if (RETRACTION_MESSAGE) {
+    await sendFollowUp(session, userId, RETRACTION_MESSAGE, 'retraction', messageTs);
+    notice += STRINGS.messageDeleteFollowUp.replace('{followup}', quoteText(RETRACTION_MESSAGE));
+  }
+  await postEphemeral(channelId, userId, threadTs, notice);
+  console.log(`🗑️ Withdrawn message reported for session ${session.session_id}`);
+}
+
+// ============================================
+// Saved Replies
+// ============================================
+
+/**
+ * Get all saved replies from Redis, sorted by name
+ */
+async function getAllCannedReplies() {
+  const keys = await redis.keys('canned:*');
+  const replies = [];
+  for (const key of keys) {
+    const data = await redis.get(key);
+    if (data) replies.push(JSON.parse(data));
+  }
+  replies.sort((a, b) => a.name.localeCompare(b.name));
+  return replies;
+}
+
+/**
+ * Get a saved reply by ID, or null
+ */
+async function getCannedReply(id) {
+  const data = await redis.get(`canned:${id}`);
+  return data ? JSON.parse(data) : null;
+}
+
+/**
+ * The ID a saved reply is stored under, derived from its name (e.g. "Fees 2025" → "fees-2025")
+ */
+function getCannedReplyId(name) {
+  return name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '') || 'reply';
+}
+
+/**
+ * Check that a saved reply's media URL can be sent to WhatsApp.
+ * Returns { media: { url, type, name } } or { error }.
+ */
+async function inspectCannedMedia(url) {
+  let response;
+  try {
+    response = await axios.head(url, { timeout: 10000 });
+  } catch (error) {
+    return { error: STRINGS.cannedMediaUnreachable };
+  }
+
+  const mimetype = response.headers['content-type'] || '';
+  const type = getWhatsAppMessageType(mimetype);
+  if (!type) {
+    const formats = Object.values(WHATSAPP_MEDIA_LIMITS).map(limit => limit.formats).join('; ');
+    return { error: STRINGS.cannedMediaUnsupported.replace('{type}', mimetype || 'these').replace('{formats}', formats) };
+  }
+
+  // Servers that don't report a size get the benefit of the doubt
+  const size = Number(response.headers['content-length']);
+  const limit = WHATSAPP_MEDIA_LIMITS[type];
+  if (size > limit.maxMb * 1024 * 1024) {
+    return {
+      error: STRINGS.cannedMediaTooLarge
+        .replace('{size}', formatFileSize(size))
+        .replace('{kind}', limit.kind)
+        .replace('{limit}', `${limit.maxMb} MB`),
+    };
+  }
+
+  let name = 'file';
+  try {
+    name = decodeURIComponent(new URL(url).pathname.split('/').pop()) || name;
+  } catch (error) {
+    // Keep the default name
+  }
+  return { media: { url, type, name } };
+}
+
+/**
+ * Fill in a saved reply's {name}, {school}, {intent} and {agent} variables.
+ * Labels drop their leading emoji, since the text goes to the customer.
+ */
+async function fillCannedReply(body, session, userId) {
+  const contactData = session.phone ? await redis.get(`contact:${session.phone}`) : null;
+  const customerName = (contactData && JSON.parse(contactData).name) || session.profile_name || '';
+  const plainLabel = (label) => (label || '').replace(/^[^\p{L}\p{N}]+/u, '');
+  const agentNames = await resolveUserNames([userId]);
+
+  const variables = {
+    name: customerName,
+    school: plainLabel(STRINGS.schoolTypes[session.school] || session.school),
+    intent: plainLabel(STRINGS.intentTypes[session.intent] || session.intent),
+    agent: agentNames[userId],
+  };
+  return body.replace(/\{(\w+)\}/g, (match, key) => (key in variables ? variables[key] : match));
+}
+
+/**
+ * Open tickets, newest first
+ */
+async function getOpenTickets() {
+  const keys = await redis.keys('session:*');
+  const sessions = [];
+  for (const key of keys) {
+    const data = await redis.get(key);
+    if (data) sessions.push(JSON.parse(data));
+  }
+  return sessions.sort((a, b) => (b.created_at || '').localeCompare(a.created_at || ''));
+}
+
+/**
+ * Cut text down to a Slack option label (75 characters at most)
+ */
+function toOptionText(text) {
+  return { type: 'plain_text', text: text.length > 75 ? `${text.slice(0, 74)}…` : text };
+}
+
+/**
+ * Open the "Send saved reply" modal. With a thread the reply goes to that ticket,
+ * otherwise the agent picks one of the open tickets.
+ */
+async function openCannedReplyModal(triggerId, userId, channelId, threadTs) {
+  // The slash command can be used outside the ticket channel, where the thread doesn't exist
+  const noticeThreadTs = channelId === SLACK_CHANNEL_ID ? threadTs : null;
+
+  const replies = await getAllCannedReplies();
+  if (replies.length === 0) {
+    await postEphemeral(channelId, userId, noticeThreadTs, STRINGS.cannedNoReplies);
+    return;
+  }
+
+  const blocks = [];
+  if (threadTs) {
+    const session = await getSessionByThread(threadTs);
+    if (!session) {
+      await postEphemeral(channelId, userId, noticeThreadTs, STRINGS.cannedTicketClosed);
+      return;
+    }
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: STRINGS.cannedTicketInfo.replace('{ticket}', formatContact(session.profile_name, session.phone)) },
+    });
+  } else {
+    const tickets = (await getOpenTickets()).slice(0, 100);
+    if (tickets.length === 0) {
+      await postEphemeral(channelId, userId, null, STRINGS.cannedNoTickets);
+      return;
+    }
+    blocks.push({
+      type: 'input',
+      block_id: 'canned_ticket_block',
+      label: { type: 'plain_text', text: STRINGS.cannedTicketLabel },
+      element: {
+        type: 'static_select',
+        action_id: 'canned_ticket_select',
+        placeholder: { type: 'plain_text', text: STRINGS.cannedTicketPlaceholder },
+        options: tickets.map(session => ({
+          text: toOptionText(`${session.profile_name} • ${formatPhoneNumber(session.phone)}`),
+          value: session.thread_ts,
+        })),
+      },
+    });
+  }
+
+  blocks.push({
+    type: 'input',
+    block_id: 'canned_reply_block',
+    label: { type: 'plain_text', text: STRINGS.cannedReplyLabel },
+    element: {
+      type: 'static_select',
+      action_id: 'canned_reply_select',
+      placeholder: { type: 'plain_text', text: STRINGS.cannedReplyPlaceholder },
+      options: replies.slice(0, 100).map(reply => ({
+        text: toOptionText(reply.name),
+        description: toOptionText(reply.body),
+        value: reply.id,
+      })),
+    },
+  });
+
+  await axios.post(
+    'https://slack.com/api/views.open',
+    {
+      trigger_id: triggerId,
+      view: {
+        type: 'modal',
+        callback_id: 'canned_reply_modal',
+        private_metadata: JSON.stringify({ thread_ts: threadTs || null }),
+        title: { type: 'plain_text', text: STRINGS.cannedModalTitle },
+        submit: { type: 'plain_text', text: STRINGS.cannedModalSubmit },
+        close: { type: 'plain_text', text: 'Cancel' },
+        blocks,
+      },
+    },
+    { headers: { 'Authorization': `Bearer ${SLACK_BOT_TOKEN}`, 'Content-Type': 'application/json' } }
+  );
+}
+
+/**
+ * Open the modal to add a saved reply, or edit an existing one
+ */
+async function openCannedReplyEditor(triggerId, reply) {
+  const nameElement = { type: 'plain_text_input', action_id: 'canned_name_input', max_length: 75 };
+  const bodyElement = { type: 'plain_text_input', action_id: 'canned_body_input', multiline: true };
+  const mediaElement = { type: 'url_text_input', action_id: 'canned_media_input' };
+  if (reply) {
+    nameElement.initial_value = reply.name;
+    bodyElement.initial_value = reply.body;
+    if (reply.media) mediaElement.initial_value = reply.media.url;
+  }
+
+  await axios.post(
+    'https://slack.com/api/views.open',
+    {
+      trigger_id: triggerId,
+      view: {
+        type: 'modal',
+        callback_id: 'canned_reply_edit_modal',
+        private_metadata: JSON.stringify({ id: reply?.id || null }),
+        title: { type: 'plain_text', text: STRINGS.cannedEditModalTitle },
+        submit: { type: 'plain_text', text: 'Save' },
+        close: { type: 'plain_text', text: 'Cancel' },
+        blocks: [
+          {
+            type: 'input',
+            block_id: 'canned_name_block',
+            label: { type: 'plain_text', text: STRINGS.cannedNameLabel },
+            element: nameElement,
+          },
+          {
+            type: 'input',
+            block_id: 'canned_body_block',
+            label: { type: 'plain_text', text: STRINGS.cannedBodyLabel },
+            hint: { type: 'plain_text', text: STRINGS.cannedBodyHint },
+            element: bodyElement,
+          },
+          {
+            type: 'input',
+            block_id: 'canned_media_block',
+            optional: true,
+            label: { type: 'plain_text', text: STRINGS.cannedMediaLabel },
+            hint: { type: 'plain_text', text: STRINGS.cannedMediaHint },
+            element: mediaElement,
+          },
+        ],
+      },
+    },
+    { headers: { 'Authorization': `Bearer ${SLACK_BOT_TOKEN}`, 'Content-Type': 'application/json' } }
+  );
+}
+
+/**
+ * Send a saved reply to a ticket's customer and show what was sent in the thread
+ */
+async function sendCannedReply(session, replyId, userId) {
+  let reply;
+  try {
+    reply = await getCannedReply(replyId);
+    if (!reply) return;
+
+    const text = await fillCannedReply(reply.body, session, userId);
+
+    // Shown in the thread first, so its delivery status can be marked on it
+    const notice = await axios.post(
+      'https://slack.com/api/chat.postMessage',
+      {
+        channel: SLACK_CHANNEL_ID,
+        thread_ts: session.thread_ts,
+        text: STRINGS.cannedSent
+          .replace('{user}', userId)
+          .replace('{name}', reply.name)
+          .replace('{text}', `${text}${reply.media ? `\n📎 ${reply.media.url}` : ''}`),
+      },
+      { headers: { 'Authorization': `Bearer ${SLACK_BOT_TOKEN}`, 'Content-Type': 'application/json' } }
+    );
+
+    await sendAgentMessage(session, userId, text, reply.media, notice.data.ts);
+    console.log(`💬 Saved reply "${reply.name}" sent by ${userId} for session ${session.session_id}`);
+  } catch (error) {
+    console.error('❌ Error sending saved reply:', error.message);
+    await axios.post(SLACK_WEBHOOK_URL, {
+      thread_ts: session.thread_ts,
+      text: (reply?.media ? STRINGS.failedToSendFile : STRINGS.failedToSendMessage).replace('{error}', error.message),
+    });
+  }
+}
+
+// ============================================
+// Customer History
+// ============================================
+
+const PREVIOUS_TICKETS_IN_HEADER = 3;
+const HISTORY_MODAL_LIMIT = 20;
+
+/**
+ * Get a customer's past tickets, newest first
+ */
+async function getCustomerTickets(phone, limit = HISTORY_MODAL_LIMIT) {
+  const threadTsList = await redis.zRange(`customer_tickets:${phone}`, 0, -1, { REV: true });
+  const tickets = [];
+
+  for (const threadTs of threadTsList) {
+    const data = await redis.get(`ticket:${threadTs}`);
+    if (!data) {
+      // Expired by the transcript retention policy
+      await redis.zRem(`customer_tickets:${phone}`, threadTs);
+      continue;
+    }
+    tickets.push(JSON.parse(data));
+    if (tickets.length >= limit) break;
+  }
+
+  return tickets;
+}
+
+/**
+ * Keep just what the ticket header needs to show a previous ticket
+ */
+function summarizeTicket(ticket) {
+  return {
+    thread_ts: ticket.thread_ts,
+    opened_at: ticket.opened_at,
+    closed_at: ticket.closed_at,
+    school: ticket.school,
+    intent: ticket.intent,
+  };
+}
+
+/**
+ * One-line mrkdwn description of a ticket: link, date, type and status
+ */
+function formatTicketSummary(ticket) {
+  const link = `https://slack.com/archives/${SLACK_CHANNEL_ID}/p${ticket.thread_ts.replace('.', '')}`;
+  const opened = `<!date^${Math.floor(new Date(ticket.opened_at).getTime() / 1000)}^{date_short}|${(ticket.opened_at || '').slice(0, 10)}>`;
+  const labels = [STRINGS.intentTypes[ticket.intent] || ticket.intent, STRINGS.schoolTypes[ticket.school] || ticket.school]
+    .filter(Boolean)
+    .join(' • ');
+  const status = ticket.closed_at ? STRINGS.ticketStatusClosed : STRINGS.ticketStatusOpen;
+  return `${opened}${labels ? ` ${labels}` : ''} — ${status} (<${link}|thread>)`;
+}
+
+/**
+ * Open a modal listing a customer's past tickets
+ */
+async function openCustomerHistoryModal(triggerId, phone, currentThreadTs) {
+  const tickets = (await getCustomerTickets(phone, HISTORY_MODAL_LIMIT + 1))
+    .filter(ticket => ticket.thread_ts !== currentThreadTs)
+    .slice(0, HISTORY_MODAL_LIMIT);
+
+  const blocks = [
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: `*${formatContact(tickets[0]?.profile_name || '', phone)}*` },
+    },
+    { type: 'divider' },
+  ];
+
+  if (tickets.length === 0) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: STRINGS.historyEmpty } });
+  }
+
+  for (const ticket of tickets) {
+    const messageCount = await redis.lLen(`transcript:${ticket.thread_ts}`);
+    let details = `${messageCount} messages`;
+    if (ticket.owner_id) details += ` • handled by <@${ticket.owner_id}>`;
+    if (ticket.closed_by) details += ` • closed by <@${ticket.closed_by}>`;
+
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: `${formatTicketSummary(ticket)}\n${details}` },
+    });
   }
 
-  // Slack limits blocks to 100 per view — truncate if needed
-  const maxBlocks = 100;
-  const viewBlocks = blocks.slice(0, maxBlocks);
-
   await axios.post(
-    'https://slack.com/api/views.publish',
+    'https://slack.com/api/views.open',
     {
-      user_id: userId,
+      trigger_id: triggerId,
       view: {
-        type: 'home',
-        blocks: viewBlocks,
+        type: 'modal',
+        title: { type: 'plain_text', text: STRINGS.historyModalTitle },
+        close: { type: 'plain_text', text: 'Close' },
+        blocks,
       },
     },
-    {
-      headers: {
-        'Authorization': `Bearer ${SLACK_BOT_TOKEN}`,
-        'Content-Type': 'application/json',
-      },
-    }
+    { headers: { 'Authorization': `Bearer ${SLACK_BOT_TOKEN}`, 'Content-Type': 'application/json' } }
   );
 }
 
 // ============================================
-// Redis Assignment Management
+// Re-escalations
 // ============================================
 
 /**
- * Get all assignments from Redis
+ * Redis key pointing at a customer's open ticket, scoped by REESCALATION_SCOPE
  */
-async function getAllAssignments() {
-  const keys = await redis.keys('assign:*');
-  const assignments = {};
-
-  for (const key of keys) {
-    const userIds = await redis.sMembers(key);
-    if (userIds.length > 0) {
-      const shortKey = key.replace('assign:', '');
-      assignments[shortKey] = userIds;
-    }
-  }
-
-  return assignments;
+function getOpenTicketKey(phone, intent) {
+  return REESCALATION_SCOPE === 'intent'
+    ? `open_ticket:${phone}:${intent || ''}`
+    : `open_ticket:${phone}`;
 }
 
 /**
- * Get assignees for a school/intent combination
- * Returns an array of user IDs
+ * Find the session of a customer's open ticket, if any
  */
-async function getAssignees(school, intent) {
-  if (!school && !intent) return [];
+async function findOpenTicket(phone, intent) {
+  const threadTs = await redis.get(getOpenTicketKey(phone, intent));
+  if (!threadTs) return null;
 
-  // Try exact match first
-  if (school && intent) {
-    const exact = await redis.sMembers(`assign:${school}:${intent}`);
-    if (exact.length > 0) return exact;
+  const session = await getSessionByThread(threadTs);
+  if (!session) {
+    // Closed without clearing the pointer
+    await redis.del(getOpenTicketKey(phone, intent));
+    return null;
   }
-
-  return [];
+  return session;
 }
 
 /**
- * Resolve @mentions and plain @usernames to Slack user IDs
+ * Continue a re-escalation in the customer's open ticket: re-point the thread at
+ * the new AI Studio session, post a marker and the new transcript, and restart
+ * the auto-responses for the new session.
  */
-async function resolveUsers(text) {
-  const userIds = [];
+async function mergeReescalation(oldSession, newSessionId, history, { school, intent }) {
+  const threadTs = oldSession.thread_ts;
 
-  // Find all formatted mentions: <@U123456> or <@U123456|display name>
-  const formattedMatches = text.matchAll(/<@([A-Z0-9]+)(\|[^>]+)?>/gi);
-  for (const match of formattedMatches) {
-    userIds.push(match[1]);
-  }
+  await cancelAutoResponses(oldSession.session_id);
 
-  if (userIds.length > 0) return userIds;
+  const session = {
+    ...oldSession,
+    session_id: newSessionId,
+    school: school || oldSession.school,
+    intent: intent || oldSession.intent,
+    reescalated_at: new Date().toISOString(),
+  };
+  await updateSession(session);
+  await redis.set(`thread:${threadTs}`, newSessionId);
+  if (oldSession.session_id !== newSessionId) {
+    await redis.del(`session:${oldSession.session_id}`);
+  }
 
-  // Fall back to plain @username mentions
-  const plainMatches = text.matchAll(/@(\S+)/g);
-  const usernames = [];
-  for (const match of plainMatches) {
-    usernames.push(match[1]);
+  // Keep the archived record pointing at the live session
+  const ticketData = await redis.get(`ticket:${threadTs}`);
+  if (ticketData) {
+    const ticket = JSON.parse(ticketData);
+    const previousIds = ticket.previous_session_ids || [];
+    if (oldSession.session_id !== newSessionId && !previousIds.includes(oldSession.session_id)) {
+      ticket.previous_session_ids = [...previousIds, oldSession.session_id];
+    }
+    ticket.session_id = newSessionId;
+    ticket.school = session.school || '';
+    ticket.intent = session.intent || '';
+    await redis.set(`ticket:${threadTs}`, JSON.stringify(ticket));
   }
 
-  if (usernames.length === 0) return [];
+  let marker = STRINGS.customerReescalated;
+  if ((intent && intent !== oldSession.intent) || (school && school !== oldSession.school)) {
+    const labels = [STRINGS.intentTypes[intent] || intent, STRINGS.schoolTypes[school] || school]
+      .filter(Boolean)
+      .join(' • ');
+    marker += `\n${STRINGS.customerReescalatedTopic.replace('{labels}', labels)}`;
+  }
+  const mentionIds = await getTicketMentions(newSessionId);
+  if (mentionIds.length > 0) {
+    marker += `\n${mentionIds.map(formatMention).join(', ')}`;
+  }
 
-  // Look up users via Slack API
-  try {
-    const lookupResponse = await axios.get(
-      `https://slack.com/api/users.list`,
-      { headers: { 'Authorization': `Bearer ${SLACK_BOT_TOKEN}` } }
-    );
+  await axios.post(
+    'https://slack.com/api/chat.postMessage',
+    { channel: SLACK_CHANNEL_ID, thread_ts: threadTs, text: marker },
+    { headers: { 'Authorization': `Bearer ${SLACK_BOT_TOKEN}`, 'Content-Type': 'application/json' } }
+  );
 
-    if (!lookupResponse.data.ok) {
-      throw new Error(lookupResponse.data.error);
-    }
+  await appendTranscript(threadTs, { direction: 'system', type: 'text', text: 'Customer re-escalated' });
+  for (const turn of extractTranscript(history)) {
+    await appendTranscript(threadTs, {
+      direction: 'history',
+      author: turn.speaker === 'bot' ? 'bot' : session.profile_name,
+      type: 'text',
+      text: turn.text,
+    });
+  }
+  await postTranscript(threadTs, history, session.profile_name);
 
-    for (const username of usernames) {
-      const user = lookupResponse.data.members.find(
-        m => m.name === username ||
-             m.profile?.display_name?.toLowerCase() === username.toLowerCase() ||
-             m.real_name?.toLowerCase() === username.toLowerCase()
-      );
-      if (user) {
-        userIds.push(user.id);
-      }
-    }
-  } catch (err) {
-    console.error('❌ Error looking up users:', err.message);
+  const businessHours = await getBusinessHours();
+  if (isWithinBusinessHours(businessHours)) {
+    await scheduleAutoResponses(newSessionId, session.school, session.intent);
+  } else {
+    await sendOutOfOfficeMessage(newSessionId, threadTs, businessHours);
+    await queueAfterHoursTicket({
+      session_id: newSessionId,
+      thread_ts: threadTs,
+      name: session.profile_name,
+      phone: session.phone || '',
+      school: session.school,
+      intent: session.intent,
+    });
   }
 
-  return userIds;
+  console.log(`🔁 Session ${newSessionId} merged into open ticket ${threadTs} (was ${oldSession.session_id})`);
 }
 
 // ============================================
-// Auto-Response Timers
+// Media Storage
 // ============================================
 
+// Every stored file, scored by upload time, so the retention sweep can find old ones
+const MEDIA_UPLOADS_KEY = 'media:uploads';
+const MEDIA_RETENTION_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Local storage: files are served by this app at PUBLIC_BASE_URL/media/... through signed links
+const MEDIA_LOCAL_DIR = path.resolve(process.env.MEDIA_LOCAL_DIR || 'media');
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+// Required with local storage, so links keep working across restarts and instances
+const MEDIA_SIGNING_SECRET = process.env.MEDIA_SIGNING_SECRET;
+// How long signed links (local and S3) stay valid; S3 allows at most 7 days
+const MEDIA_URL_TTL_HOURS = Number(process.env.MEDIA_URL_TTL_HOURS || 24);
+
+// S3-compatible storage (AWS S3, Cloudflare R2, MinIO, ...)
+const S3_BUCKET = process.env.S3_BUCKET;
+const S3_REGION = process.env.S3_REGION || 'us-east-1';
+const S3_ENDPOINT = process.env.S3_ENDPOINT; // Leave empty for AWS; path-style addressing is used when set
+const S3_ACCESS_KEY_ID = process.env.S3_ACCESS_KEY_ID;
+const S3_SECRET_ACCESS_KEY = process.env.S3_SECRET_ACCESS_KEY;
+
 /**
- * Schedule auto-response messages for when no agent has replied yet.
- * Sends a "busy" message to the customer at 3 minutes and 10 minutes.
+ * Media storage adapters, selected with MEDIA_STORAGE. Each one implements:
+ *   upload(buffer, { filename, mimetype, fileType }) - store a file, returns { url, key }
+ *   remove(key) - delete a stored file (no error if it's already gone)
  */
-function scheduleAutoResponses(sessionId) {
-  const threeMin = setTimeout(() => sendBusyMessage(sessionId, STRINGS.busyMessage3Min), 3 * 60 * 1000);
-  const tenMin = setTimeout(() => sendBusyMessage(sessionId, STRINGS.busyMessage10Min), 10 * 60 * 1000);
-  pendingTimers.set(sessionId, { threeMin, tenMin });
-}
+const MEDIA_STORAGE_ADAPTERS = {
+  cloudinary: {
+    async upload(buffer, { filename, fileType }) {
+      // Cloudinary uses 'video' for both video and audio, and 'raw' for documents
+      const resourceType = { image: 'image', video: 'video', audio: 'video', file: 'raw' }[fileType];
+      const uploadOptions = { resource_type: resourceType };
+      if (fileType === 'file') {
+        // Keep the original name (and extension) in the document's URL
+        uploadOptions.use_filename = true;
+        uploadOptions.filename_override = filename;
+      }
+      const result = await new Promise((resolve, reject) => {
+        const uploadStream = cloudinary.uploader.upload_stream(
+          uploadOptions,
+          (error, result) => {
+            if (error) reject(error);
+            else resolve(result);
+          }
+        );
+        uploadStream.end(buffer);
+      });
+      return { url: result.secure_url, key: `${resourceType}:${result.public_id}` };
+    },
+
+    async remove(key) {
+      const [resourceType, ...publicId] = key.split(':');
+      await cloudinary.uploader.destroy(publicId.join(':'), { resource_type: resourceType });
+    },
+  },
+
+  local: {
+    async upload(buffer, { filename }) {
+      if (!PUBLIC_BASE_URL) {
+        throw new Error('PUBLIC_BASE_URL must be set to use local media storage');
+      }
+      const key = createMediaKey(filename);
+      await fs.promises.mkdir(MEDIA_LOCAL_DIR, { recursive: true });
+      await fs.promises.writeFile(path.join(MEDIA_LOCAL_DIR, key), buffer);
+      return { url: getSignedMediaUrl(key), key };
+    },
+
+    async remove(key) {
+      await fs.promises.rm(path.join(MEDIA_LOCAL_DIR, path.basename(key)), { force: true });
+    },
+  },
+
+  s3: {
+    async upload(buffer, { filename, mimetype }) {
+      const key = `whatsapp-media/${createMediaKey(filename)}`;
+      await sendS3Request('PUT', key, buffer, mimetype);
+      return { url: getPresignedS3Url(key), key };
+    },
+
+    async remove(key) {
+      await sendS3Request('DELETE', key);
+    },
+  },
+};
 
 /**
- * Cancel pending auto-response timers for a session.
+ * Store a file with the configured adapter and record it for the retention sweep
  */
-function cancelAutoResponses(sessionId) {
-  const timers = pendingTimers.get(sessionId);
-  if (timers) {
-    clearTimeout(timers.threeMin);
-    clearTimeout(timers.tenMin);
-    pendingTimers.delete(sessionId);
-    console.log(`⏱️ Auto-response timers cancelled for session ${sessionId}`);
+async function storeMedia(buffer, details) {
+  const adapter = MEDIA_STORAGE_ADAPTERS[MEDIA_STORAGE];
+  if (!adapter) {
+    throw new Error(`Unknown MEDIA_STORAGE "${MEDIA_STORAGE}" (use cloudinary, local or s3)`);
   }
+
+  const stored = await adapter.upload(buffer, details);
+  await redis.zAdd(MEDIA_UPLOADS_KEY, {
+    score: Date.now(),
+    value: JSON.stringify({ adapter: MEDIA_STORAGE, key: stored.key }),
+  });
+  return stored;
 }
 
 /**
- * Send a busy/delay message to the WhatsApp customer and notify the Slack thread.
+ * A unique, filesystem- and URL-safe name for a stored file that keeps its original name
  */
-async function sendBusyMessage(sessionId, message) {
-  try {
-    const session = await getSession(sessionId);
-    if (!session) return;
+function createMediaKey(filename) {
+  const safeName = String(filename || 'file').replace(/[^\w.-]+/g, '_').slice(-100);
+  return `${crypto.randomUUID()}-${safeName}`;
+}
 
-    // Send to WhatsApp customer
-    await axios.post(
-      `${AI_STUDIO_BASE_URL}/live-agent/outbound/${session.session_id}`,
-      { message_type: 'text', text: message },
-      { headers: { 'X-Vgai-Key': AI_STUDIO_KEY } }
-    );
+/**
+ * HMAC of a local media key and its expiry time
+ */
+function signMediaKey(key, expires) {
+  return crypto.createHmac('sha256', MEDIA_SIGNING_SECRET).update(`${key}:${expires}`).digest('hex');
+}
 
-    // Notify in Slack thread
-    await axios.post(SLACK_WEBHOOK_URL, {
-      thread_ts: session.thread_ts,
-      text: STRINGS.busyNotice.replace('{message}', message),
-    });
+/**
+ * Link to a locally stored file that stops working after MEDIA_URL_TTL_HOURS
+ */
+function getSignedMediaUrl(key) {
+  const expires = Math.floor(Date.now() / 1000) + Math.round(MEDIA_URL_TTL_HOURS * 60 * 60);
+  return `${PUBLIC_BASE_URL}/media/${encodeURIComponent(key)}?expires=${expires}&signature=${signMediaKey(key, expires)}`;
+}
 
-    console.log(`⏱️ Auto-response sent for session ${sessionId}: "${message}"`);
-  } catch (error) {
-    console.error(`❌ Error sending auto-response for session ${sessionId}:`, error.message);
-  }
+/**
+ * URI-encode a value the way AWS Signature V4 expects (RFC 3986)
+ */
+function s3Encode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
 }
 
-// ============================================
-// Broadcast
-// ============================================
+/**
+ * Host and path of an object in the S3 bucket
+ */
+function getS3Target(key) {
+  const objectPath = key.split('/').map(s3Encode).join('/');
+  if (S3_ENDPOINT) {
+    const endpoint = new URL(S3_ENDPOINT);
+    return {
+      origin: endpoint.origin,
+      host: endpoint.host,
+      path: `${endpoint.pathname.replace(/\/+$/, '')}/${S3_BUCKET}/${objectPath}`,
+    };
+  }
+  const host = `${S3_BUCKET}.s3.${S3_REGION}.amazonaws.com`;
+  return { origin: `https://${host}`, host, path: `/${objectPath}` };
+}
 
 /**
- * Send a broadcast message to all contacts matching the given roles.
- * Returns the number of contacts sent to.
+ * Compute an AWS Signature V4 for an S3 request.
+ * `headers` must use lower-case names; all of them are signed.
  */
-async function sendBroadcast(message, selectedRoles, channelId, threadTs) {
-  const contacts = await getAllContacts();
-  const matched = contacts.filter(c =>
-    c.roles && c.roles.some(r => selectedRoles.includes(r))
-  );
+function signS3Request({ method, path: requestPath, query, headers, payloadHash, amzDate }) {
+  const dateStamp = amzDate.slice(0, 8);
+  const scope = `${dateStamp}/${S3_REGION}/s3/aws4_request`;
+
+  const canonicalQuery = Object.keys(query).sort()
+    .map(name => `${s3Encode(name)}=${s3Encode(query[name])}`)
+    .join('&');
+  const headerNames = Object.keys(headers).sort();
+  const canonicalHeaders = headerNames.map(name => `${name}:${String(headers[name]).trim()}\n`).join('');
+  const canonicalRequest = [method, requestPath, canonicalQuery, canonicalHeaders, headerNames.join(';'), payloadHash].join('\n');
+
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    scope,
+    crypto.createHash('sha256').update(canonicalRequest).digest('hex'),
+  ].join('\n');
+
+  let signingKey = `AWS4${S3_SECRET_ACCESS_KEY}`;
+  for (const part of [dateStamp, S3_REGION, 's3', 'aws4_request']) {
+    signingKey = crypto.createHmac('sha256', signingKey).update(part).digest();
+  }
+  return crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+}
 
-  if (matched.length === 0) return 0;
+/**
+ * Current time in the YYYYMMDDTHHMMSSZ format used by AWS
+ */
+function getAmzDate(date = new Date()) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
 
-  for (const contact of matched) {
-    await sendWhatsAppBroadcast(contact.phone, contact.name, message, channelId, threadTs);
+/**
+ * Send a signed PUT or DELETE request for an object in the S3 bucket
+ */
+async function sendS3Request(method, key, body, contentType) {
+  if (!S3_BUCKET || !S3_ACCESS_KEY_ID || !S3_SECRET_ACCESS_KEY) {
+    throw new Error('S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY must be set to use S3 media storage');
   }
 
-  return matched.length;
+  const target = getS3Target(key);
+  const amzDate = getAmzDate();
+  const payloadHash = crypto.createHash('sha256').update(body || '').digest('hex');
+  const headers = {
+    'host': target.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate,
+  };
+  if (contentType) headers['content-type'] = contentType;
+
+  const signature = signS3Request({ method, path: target.path, query: {}, headers, payloadHash, amzDate });
+  const { host, ...requestHeaders } = headers;
+  await axios.request({
+    method,
+    url: `${target.origin}${target.path}`,
+    data: body,
+    headers: {
+      ...requestHeaders,
+      'Authorization': `AWS4-HMAC-SHA256 Credential=${S3_ACCESS_KEY_ID}/${amzDate.slice(0, 8)}/${S3_REGION}/s3/aws4_request, `
+        + `SignedHeaders=${Object.keys(headers).sort().join(';')}, Signature=${signature}`,
+    },
+    maxBodyLength: Infinity,
+  });
 }
 
 /**
- * Generate a Vonage JWT for Messages API authentication.
+ * Presigned GET link to an object in the S3 bucket, valid for MEDIA_URL_TTL_HOURS (max 7 days)
  */
-function generateVonageJWT() {
-  const header = { typ: 'JWT', alg: 'RS256' };
-  const now = Math.floor(Date.now() / 1000);
-  const payload = {
-    iat: now,
-    exp: now + 86400,
-    jti: crypto.randomUUID(),
-    application_id: VONAGE_APPLICATION_ID,
-    sub: '',
-    acl: '',
+function getPresignedS3Url(key, date = new Date()) {
+  const target = getS3Target(key);
+  const amzDate = getAmzDate(date);
+  const query = {
+    'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+    'X-Amz-Credential': `${S3_ACCESS_KEY_ID}/${amzDate.slice(0, 8)}/${S3_REGION}/s3/aws4_request`,
+    'X-Amz-Date': amzDate,
+    'X-Amz-Expires': String(Math.min(Math.round(MEDIA_URL_TTL_HOURS * 60 * 60), 7 * 24 * 60 * 60)),
+    'X-Amz-SignedHeaders': 'host',
   };
+  const signature = signS3Request({
+    method: 'GET',
+    path: target.path,
+    query,
+    headers: { host: target.host },
+    payloadHash: 'UNSIGNED-PAYLOAD',
+    amzDate,
+  });
+  const queryString = Object.keys(query).sort()
+    .map(name => `${s3Encode(name)}=${s3Encode(query[name])}`)
+    .join('&');
+  return `${target.origin}${target.path}?${queryString}&X-Amz-Signature=${signature}`;
+}
 
-  const encode = (obj) => Buffer.from(JSON.stringify(obj)).toString('base64url');
-  const signingInput = `${encode(header)}.${encode(payload)}`;
-  const privateKey = VONAGE_PRIVATE_KEY.replace(/\\n/g, '\n');
-  const signature = crypto.sign('RSA-SHA256', Buffer.from(signingInput), privateKey).toString('base64url');
-  return `${signingInput}.${signature}`;
+/**
+ * Delete stored media older than MEDIA_RETENTION_DAYS
+ */
+async function purgeExpiredMedia() {
+  const cutoff = Date.now() - MEDIA_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const expired = await redis.zRangeByScore(MEDIA_UPLOADS_KEY, 0, cutoff);
+
+  for (const item of expired) {
+    const { adapter, key } = JSON.parse(item);
+    try {
+      await MEDIA_STORAGE_ADAPTERS[adapter].remove(key);
+      await redis.zRem(MEDIA_UPLOADS_KEY, item);
+      console.log(`🗑️ Deleted expired media ${key} from ${adapter}`);
+    } catch (error) {
+      console.error(`❌ Error deleting media ${key} from ${adapter}:`, error.message);
+    }
+  }
 }
 
 /**
- * Send a WhatsApp message to a single contact via Vonage Messages API.
+ * Refuse to start with media storage settings that can't work
  */
-async function sendWhatsAppBroadcast(phone, name, message, channelId, threadTs) {
-  const formattedPhone = `${LRI}${formatPhoneNumber(phone)}${PDI}`;
-  const formattedName = `${FSI}${name}${PDI}`;
+function checkMediaStorageConfig() {
+  if (MEDIA_STORAGE === 'local' && !MEDIA_SIGNING_SECRET) {
+    throw new Error('MEDIA_SIGNING_SECRET must be set to use local media storage');
+  }
+}
 
-  try {
-    const token = generateVonageJWT();
-    await axios.post(
-      'https://api.nexmo.com/v1/messages',
-      {
-        message_type: 'text',
-        text: message,
-        to: phone,
-        from: VONAGE_WHATSAPP_NUMBER,
-        channel: 'whatsapp',
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-        },
-      }
-    );
+/**
+ * Start the hourly retention sweep (if MEDIA_RETENTION_DAYS is set)
+ */
+async function startMediaRetention() {
+  if (MEDIA_RETENTION_DAYS <= 0) return;
 
-    console.log(`📡 [Broadcast] Sent to ${phone} (${name})`);
+  const sweep = () => purgeExpiredMedia().catch(error => console.error('❌ Error purging media:', error.message));
+  setInterval(sweep, MEDIA_RETENTION_SWEEP_INTERVAL_MS);
+  await sweep();
+}
 
-    await axios.post(
-      'https://slack.com/api/chat.postMessage',
-      {
-        channel: channelId,
-        thread_ts: threadTs,
-        text: STRINGS.broadcastSentTo.replace('{phone}', formattedPhone).replace('{name}', formattedName),
-      },
-      { headers: { 'Authorization': `Bearer ${SLACK_BOT_TOKEN}`, 'Content-Type': 'application/json' } }
-    );
-  } catch (error) {
-    const errMsg = error.response?.data?.title || error.message || 'Unknown error';
-    console.error(`❌ [Broadcast] Failed to send to ${phone} (${name}):`, errMsg);
+// ============================================
+// Deduplication
+// ============================================
 
-    await axios.post(
-      'https://slack.com/api/chat.postMessage',
-      {
-        channel: channelId,
-        thread_ts: threadTs,
-        text: STRINGS.broadcastFailedTo.replace('{phone}', formattedPhone).replace('{name}', formattedName).replace('{error}', errMsg),
-      },
-      { headers: { 'Authorization': `Bearer ${SLACK_BOT_TOKEN}`, 'Content-Type': 'application/json' } }
-    );
+// dedupe:<source>:<id> - deliveries already handled, so retries and redeliveries are ignored
+const DEDUPE_TTL_SECONDS = 24 * 60 * 60;
+
+/**
+ * Claim a delivery. Returns true the first time an id is seen within the TTL,
+ * false for a retry or duplicate.
+ */
+async function claimDelivery(source, id) {
+  const claimed = await redis.set(`dedupe:${source}:${id}`, Date.now().toString(), { NX: true, EX: DEDUPE_TTL_SECONDS });
+  return claimed === 'OK';
+}
+
+/**
+ * Release a claimed delivery so a redelivery is handled again (e.g. after an error)
+ */
+async function releaseDelivery(source, id) {
+  await redis.del(`dedupe:${source}:${id}`);
+}
+
+/**
+ * Record how far a claimed delivery got before it failed, so its retry can pick
+ * up from there (e.g. reuse the Slack message it already posted)
+ */
+async function saveDeliveryProgress(source, id, progress) {
+  await redis.set(`dedupe:${source}:${id}:progress`, JSON.stringify(progress), { EX: DEDUPE_TTL_SECONDS });
+}
+
+/**
+ * Take the progress a failed delivery left for its retry. Only one retry gets it;
+ * returns null if there is none.
+ */
+async function takeDeliveryProgress(source, id) {
+  const data = await redis.getDel(`dedupe:${source}:${id}:progress`);
+  return data ? JSON.parse(data) : null;
+}
+
+/**
+ * The ids a Slack event can be recognised by: `event_id` for Slack's own retries,
+ * and the message's `client_msg_id`, which stays the same if one message
+ * reaches us as two separate events
+ */
+function getSlackEventIds(body) {
+  const ids = [];
+  if (body.event_id) ids.push(['slack_event', body.event_id]);
+  if (body.event?.type === 'message' && !body.event.subtype && body.event.client_msg_id) {
+    ids.push(['slack_message', body.event.client_msg_id]);
   }
+  return ids;
+}
+
+/**
+ * The id of an AI Studio inbound message. Falls back to a hash of the session,
+ * timestamp and content when AI Studio doesn't send one; without a timestamp two
+ * identical messages can't be told apart from a redelivery, so nothing is returned.
+ */
+function getAIStudioMessageId(body) {
+  const id = body.messageId || body.message_id || body.message_uuid;
+  if (id) return String(id);
+  if (!body.timestamp) return null;
+
+  const content = JSON.stringify({ type: body.type, text: body.text, media: body[body.type || 'text'] });
+  return crypto.createHash('sha256').update(`${body.sessionId}:${body.timestamp}:${content}`).digest('hex');
 }
 
 // ============================================
@@ -1596,10 +6521,12 @@ async function sendWhatsAppBroadcast(phone, name, message, channelId, threadTs)
 // ============================================
 
 /**
- * Save a new session to Redis
+ * Save a new session to Redis, along with any ticket details
+ * (phone, school, intent, assignees, owner, ...)
  */
-async function saveSession(sessionId, threadTs, profileName) {
+async function saveSession(sessionId, threadTs, profileName, details = {}) {
   const session = {
+    ...details,
     session_id: sessionId,
     thread_ts: threadTs,
     profile_name: profileName || 'Customer',
@@ -1610,10 +6537,56 @@ async function saveSession(sessionId, threadTs, profileName) {
   await redis.set(`session:${sessionId}`, JSON.stringify(session));
   // Store reverse lookup by thread timestamp
   await redis.set(`thread:${threadTs}`, sessionId);
+  await trackTicketOwner(threadTs, null, session.owner_id);
 
   return session;
 }
 
+/**
+ * Overwrite an existing session record (e.g. after a change of owner)
+ */
+async function updateSession(session) {
+  const previous = await getSession(session.session_id);
+  await redis.set(`session:${session.session_id}`, JSON.stringify(session));
+  await trackTicketOwner(session.thread_ts, previous?.owner_id, session.owner_id);
+}
+
+/**
+ * Keep agent_tickets:<userId> - the open ticket threads each agent owns - in step
+ * with a ticket's owner
+ */
+async function trackTicketOwner(threadTs, previousOwnerId, ownerId) {
+  if ((previousOwnerId || null) === (ownerId || null)) return;
+  const multi = redis.multi();
+  if (previousOwnerId) multi.sRem(`agent_tickets:${previousOwnerId}`, threadTs);
+  if (ownerId) multi.sAdd(`agent_tickets:${ownerId}`, threadTs);
+  await multi.exec();
+}
+
+/**
+ * Rebuild every agent's open-ticket set from the sessions, e.g. for tickets opened
+ * before the sets existed. Runs once at startup.
+ */
+async function rebuildAgentTickets() {
+  const owned = {};
+  for await (const keys of redis.scanIterator({ MATCH: 'session:*', COUNT: 100 })) {
+    if (keys.length === 0) continue;
+    for (const data of await redis.mGet(keys)) {
+      const session = data ? JSON.parse(data) : null;
+      if (session?.owner_id) (owned[session.owner_id] ||= []).push(session.thread_ts);
+    }
+  }
+
+  const multi = redis.multi();
+  for await (const keys of redis.scanIterator({ MATCH: 'agent_tickets:*', COUNT: 100 })) {
+    if (keys.length > 0) multi.del(keys);
+  }
+  for (const [userId, threads] of Object.entries(owned)) {
+    multi.sAdd(`agent_tickets:${userId}`, threads);
+  }
+  await multi.exec();
+}
+
 /**
  * Get session by session ID
  */
@@ -1635,14 +6608,22 @@ async function getSessionByThread(threadTs) {
  * Delete session from Redis
  */
 async function deleteSession(sessionId, threadTs) {
-  cancelAutoResponses(sessionId);
+  await cancelAutoResponses(sessionId);
+  const session = await getSession(sessionId);
+  if (session) await trackTicketOwner(threadTs, session.owner_id, null);
   await redis.del(`session:${sessionId}`);
   await redis.del(`thread:${threadTs}`);
 }
 
 // Start server
 async function startServer() {
+  checkMediaStorageConfig();
   await redis.connect();
+  await rebuildAgentTickets();
+  await startAutoResponseScheduler();
+  await startOutboundQueue();
+  await startBroadcastWorker();
+  await startMediaRetention();
 
   app.listen(PORT, () => {
     console.log(`
@@ -1656,18 +6637,28 @@ async function startServer() {
 ║  Endpoints:                                               ║
 ║  • POST /start         - AI Studio live agent start       ║
 ║  • POST /inbound       - AI Studio inbound messages       ║
+║  • POST /status        - Vonage message status webhook    ║
 ║  • POST /slack/events  - Slack Events + App Home          ║
 ║  • POST /slack/interactions - Slack interactive buttons   ║
 ║  • POST /slack/assign  - Assignment slash command         ║
+║  • POST /slack/ladder  - Auto-response ladder command     ║
+║  • POST /slack/hours   - Business hours command           ║
+║  • POST /slack/oncall  - Agent availability command       ║
+║  • POST /slack/transcript - Transcript export command     ║
+║  • POST /slack/canned  - Saved replies command            ║
 ║  • GET  /health        - Health check                     ║
 ║  • GET  /contact/check - Check if contact exists          ║
+║  • GET  /media/:key    - Signed links to local media      ║
 ╠═══════════════════════════════════════════════════════════╣
 ║  Features:                                                ║
-║  • App Home tab - Contact & role management               ║
+║  • App Home tab - Availability, replies, contacts & roles ║
 ║  • Broadcast channel - Send messages by role              ║
 ╚═══════════════════════════════════════════════════════════╝
     `);
   });
 }
 
-startServer().catch(console.error);
+startServer().catch((error) => {
+  console.error('❌ Failed to start server:', error.message);
+  process.exit(1);
+});